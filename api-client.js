@@ -0,0 +1,124 @@
+/**
+ * API Client
+ * Shared browser helpers for calling the /api endpoints. Load it as a plain
+ * script before any page script that talks to the API:
+ *   <script src="api-client.js"></script>
+ */
+
+// ============================================
+// Error Messages
+// ============================================
+
+/**
+ * What to tell the user for each error code returned by the API
+ */
+const API_ERROR_MESSAGES = {
+    invalid_request: 'Something is missing from that request. Check your input and try again.',
+    not_found: 'We couldn\'t find that. It may have been deleted.',
+    conflict: 'That already exists. Refresh and try again.',
+    rate_limited: 'You\'re going a little fast. Wait a moment and try again.',
+    quota_exceeded: 'You\'ve used today\'s AI allowance. It resets at midnight UTC.',
+    provider_not_configured: 'AI features aren\'t set up on this server yet. Ask your workshop host to add an API key.',
+    upstream_auth_failed: 'The AI service rejected the server\'s key. Let your workshop host know.',
+    upstream_rate_limited: 'The AI service is busy right now. Try again in a few seconds.',
+    upstream_quota_exceeded: 'The shared AI account is out of credit. Let your workshop host know.',
+    upstream_timeout: 'The AI took too long to answer. Try again, or ask for something shorter.',
+    upstream_unavailable: 'We couldn\'t reach the AI service. Try again in a moment.',
+    context_length_exceeded: 'That\'s too much text for the AI. Shorten it or start a new conversation.',
+    content_filtered: 'The AI couldn\'t respond to that. Try rephrasing your request.',
+    content_blocked: 'That isn\'t allowed here. Please keep things appropriate for the classroom.',
+    invalid_model_output: 'The AI gave an answer we couldn\'t use. Please try again.',
+    network_error: 'You appear to be offline. Check your connection and try again.',
+    internal_error: 'Something went wrong on our side. Please try again.'
+};
+
+/**
+ * Error thrown for any failed API call
+ */
+class ApiRequestError extends Error {
+    constructor(message, { code = 'internal_error', status = 0, retryAfter } = {}) {
+        super(message);
+        this.name = 'ApiRequestError';
+        this.code = code;
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * User-friendly text for an error thrown by an API call
+ */
+function describeApiError(error) {
+    let message = API_ERROR_MESSAGES[error?.code] || error?.message || API_ERROR_MESSAGES.internal_error;
+    
+    if (error?.retryAfter && (error.code === 'rate_limited' || error.code === 'upstream_rate_limited')) {
+        message += ` (about ${error.retryAfter}s)`;
+    }
+    
+    return message;
+}
+
+// ============================================
+// Requests
+// ============================================
+
+/**
+ * Per-tab session id, sent as X-Session-Id so the server can apply
+ * per-session rate limits and quotas
+ */
+function getApiSessionId() {
+    let id = sessionStorage.getItem('apiSessionId');
+    if (!id) {
+        id = crypto.randomUUID();
+        sessionStorage.setItem('apiSessionId', id);
+    }
+    return id;
+}
+
+/**
+ * Build an ApiRequestError from a non-OK response
+ */
+async function toApiRequestError(res) {
+    let data = {};
+    try {
+        data = await res.json();
+    } catch (e) {
+        // Non-JSON error page (proxy, crash); fall back to the status code
+    }
+    
+    return new ApiRequestError(data.error || `Request failed (${res.status})`, {
+        code: data.code || (res.status >= 500 ? 'internal_error' : 'invalid_request'),
+        status: res.status,
+        retryAfter: data.retryAfter ?? (Number(res.headers.get('Retry-After')) || undefined)
+    });
+}
+
+/**
+ * Call a JSON endpoint. Resolves with the parsed body, rejects with an
+ * ApiRequestError.
+ */
+async function apiRequest(path, { method = 'GET', body, headers = {}, signal } = {}) {
+    let res;
+    
+    try {
+        res = await fetch(path, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                'X-Session-Id': getApiSessionId(),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+            signal
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        throw new ApiRequestError(error.message, { code: 'network_error' });
+    }
+    
+    if (!res.ok) {
+        throw await toApiRequestError(res);
+    }
+    
+    return res.json();
+}
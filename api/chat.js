@@ -1,65 +1,3 @@
-import OpenAI from 'openai';
+import { createVercelHandler } from '../lib/http.js';
 
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
-
-export default async function handler(req, res) {
-    // Always set JSON content type
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    if (req.method === 'OPTIONS') {
-        return res.status(200).end();
-    }
-    
-    if (req.method !== 'POST') {
-        return res.status(405).json({ error: 'Method not allowed' });
-    }
-    
-    // Check if API key is configured
-    if (!process.env.OPENAI_API_KEY) {
-        return res.status(500).json({ 
-            error: 'OpenAI API key is not configured. Please add OPENAI_API_KEY to your environment variables.' 
-        });
-    }
-    
-    try {
-        const { message, systemPrompt } = req.body;
-        
-        if (!message) {
-            return res.status(400).json({ error: 'Message is required' });
-        }
-        
-        const messages = [];
-        
-        if (systemPrompt) {
-            messages.push({ role: 'system', content: systemPrompt });
-        }
-        
-        messages.push({ role: 'user', content: message });
-        
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-3.5-turbo',
-            messages: messages,
-            max_tokens: 500,
-            temperature: 0.7
-        });
-        
-        const responseText = completion.choices[0].message.content;
-        
-        return res.status(200).json({ 
-            response: responseText,
-            usage: completion.usage
-        });
-        
-    } catch (error) {
-        console.error('OpenAI API Error:', error);
-        return res.status(500).json({ 
-            error: 'Failed to get AI response',
-            details: error.message 
-        });
-    }
-}
+export default createVercelHandler('/api/chat');
@@ -0,0 +1,3 @@
+import { createVercelHandler } from '../lib/http.js';
+
+export default createVercelHandler('/api/generate-quiz');
@@ -1,15 +1,3 @@
-export default async function handler(req, res) {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    if (req.method === 'OPTIONS') {
-        return res.status(200).end();
-    }
-    
-    if (req.method === 'GET') {
-        return res.status(200).json({ status: 'ok' });
-    }
-    
-    return res.status(405).json({ error: 'Method not allowed' });
-}
+import { createVercelHandler } from '../lib/http.js';
+
+export default createVercelHandler('/api/health');
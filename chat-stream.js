@@ -0,0 +1,102 @@
+/**
+ * Chat Streaming Client
+ * Browser helper for reading the Server-Sent Events stream from /api/chat.
+ * Needs api-client.js loaded first (for getApiSessionId and ApiRequestError).
+ *
+ * Usage:
+ *   import { streamChat } from './chat-stream.js';
+ *   await streamChat({ message }, {
+ *       onToken: (delta, text) => { output.textContent = text; }
+ *   });
+ */
+
+/**
+ * Parse one SSE frame ("event: x\ndata: {...}") into { event, data }
+ */
+function parseFrame(frame) {
+    let event = 'message';
+    const dataLines = [];
+    
+    frame.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).trimStart());
+        }
+    });
+    
+    if (dataLines.length === 0) return null;
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+}
+
+/**
+ * Send a chat request and render tokens as they arrive
+ *
+ * body      - the /api/chat request body; `stream` is set for you
+ * onToken   - called with (delta, fullTextSoFar) for every token
+ * onDone    - called with the final { response, usage } frame
+ * signal    - optional AbortSignal to cancel the request
+ *
+ * Resolves with the final frame, rejects with an ApiRequestError on HTTP or
+ * stream errors (pass it to describeApiError for a user-facing message).
+ */
+export async function streamChat(body, { onToken, onDone, signal } = {}) {
+    let res;
+    
+    try {
+        res = await fetch('/api/chat', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream',
+                'X-Session-Id': getApiSessionId()
+            },
+            body: JSON.stringify({ ...body, stream: true }),
+            signal
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        throw new ApiRequestError(error.message, { code: 'network_error' });
+    }
+    
+    const contentType = res.headers.get('Content-Type') || '';
+    if (!contentType.includes('text/event-stream')) {
+        // Validation, configuration and rate-limit errors come back as plain JSON
+        throw await toApiRequestError(res);
+    }
+    
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let result = null;
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const frame = parseFrame(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            if (!frame) continue;
+            
+            if (frame.event === 'token') {
+                text += frame.data.delta;
+                onToken?.(frame.data.delta, text);
+            } else if (frame.event === 'done') {
+                result = frame.data;
+                onDone?.(result);
+            } else if (frame.event === 'error') {
+                throw new ApiRequestError(frame.data.error, { code: frame.data.code, status: res.status });
+            }
+        }
+    }
+    
+    if (!result) {
+        throw new ApiRequestError('Stream ended before the response was complete', { code: 'upstream_unavailable' });
+    }
+    return result;
+}
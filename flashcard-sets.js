@@ -0,0 +1,62 @@
+/**
+ * flashcard_sets Schema
+ * The Firestore document shape for a study set. Shared by the server's set
+ * storage (lib/set-storage/) and by pages that read Firestore directly
+ * (example-firebase.html), so both sides agree on field names.
+ *
+ *   schema_version    1
+ *   set_title         string
+ *   number_of_terms   number, always cards.length
+ *   cards             [{ id, term, definition, topic?, tip?, translation?, review? }]
+ *   creator_username  string
+ *   owner_id          hash of the creator's owner token (see lib/sets.js)
+ *   has_images        boolean
+ *   created_at        ISO date string
+ *   updated_at        ISO date string
+ *
+ * Older workshop documents in the collection use other fields (for example a
+ * single `term` / `definition`); isAppSetDocument() tells them apart.
+ */
+
+export const FLASHCARD_SETS_COLLECTION = 'flashcard_sets';
+export const SET_SCHEMA_VERSION = 1;
+export const DEFAULT_CREATOR = 'Anonymous';
+
+/**
+ * Build the document for a set { title, cards, creator?, createdAt, updatedAt }
+ */
+export function toSetDocument(set) {
+    return {
+        schema_version: SET_SCHEMA_VERSION,
+        set_title: set.title,
+        number_of_terms: set.cards.length,
+        cards: set.cards,
+        creator_username: set.creator || DEFAULT_CREATOR,
+        owner_id: set.owner || null,
+        has_images: false,
+        created_at: set.createdAt,
+        updated_at: set.updatedAt
+    };
+}
+
+/**
+ * True for documents written in this schema
+ */
+export function isAppSetDocument(doc) {
+    return Boolean(doc) && Array.isArray(doc.cards) && typeof doc.set_title === 'string';
+}
+
+/**
+ * Read a document back into a set { id, title, cards, creator, owner, createdAt, updatedAt }
+ */
+export function fromSetDocument(id, doc) {
+    return {
+        id,
+        title: doc.set_title,
+        cards: doc.cards,
+        creator: doc.creator_username || DEFAULT_CREATOR,
+        owner: doc.owner_id || null,
+        createdAt: doc.created_at,
+        updatedAt: doc.updated_at
+    };
+}
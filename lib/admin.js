@@ -0,0 +1,33 @@
+/**
+ * Admin Access
+ * Admin endpoints need `Authorization: Bearer <ADMIN_TOKEN>`. Without an
+ * ADMIN_TOKEN they are open in development and closed in production.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { ApiError } from './errors.js';
+
+/**
+ * Compare two strings in constant time. Hashing first gives equal-length
+ * buffers, so the token's length does not leak either.
+ */
+function safeEqual(a, b) {
+    const digest = value => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(a), digest(b));
+}
+
+export function requireAdmin(req) {
+    const token = process.env.ADMIN_TOKEN;
+    
+    if (!token) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new ApiError(403, 'forbidden', 'Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.');
+        }
+        return;
+    }
+    
+    const header = req.headers?.authorization || '';
+    if (!safeEqual(header, `Bearer ${token}`)) {
+        throw new ApiError(401, 'unauthorized', 'Admin token required');
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * LRU Response Cache
+ * In-memory LRU with per-entry TTLs. With `persist` set, entries are written
+ * through to a file store and reloaded on first use, so the cache survives
+ * restarts.
+ */
+
+import { createStore } from './stores/index.js';
+
+/**
+ * Create a cache
+ *
+ * name       - store name used for persistence
+ * maxEntries - entries kept in memory before the least recently used is dropped
+ * ttlMs      - how long an entry stays fresh
+ * persist    - write entries to disk (file store)
+ */
+export function createCache({ name, maxEntries = 500, ttlMs, persist = false }) {
+    const entries = new Map();
+    const disk = persist ? createStore(name, 'file') : null;
+    let loading = null;
+    
+    /**
+     * Read the saved entries once; concurrent callers share the same promise
+     * so none of them sees a half-loaded cache
+     */
+    function load() {
+        if (!disk) return Promise.resolve();
+        loading ??= disk.list().then(saved => {
+            saved
+                .sort((a, b) => a.storedAt - b.storedAt)
+                .forEach(entry => remember(entry));
+        }).catch(error => {
+            // Let the next call try again
+            loading = null;
+            throw error;
+        });
+        return loading;
+    }
+    
+    function isFresh(entry) {
+        return Date.now() - entry.storedAt < ttlMs;
+    }
+    
+    function remember(entry) {
+        entries.delete(entry.key);
+        entries.set(entry.key, entry);
+        
+        while (entries.size > maxEntries) {
+            const oldest = entries.keys().next().value;
+            entries.delete(oldest);
+            disk?.delete(oldest).catch(error => {
+                console.error(`Cache ${name}: could not drop evicted entry:`, error);
+            });
+        }
+    }
+    
+    return {
+        /**
+         * Fresh entry for `key` ({ key, value, storedAt }) or null
+         */
+        async get(key) {
+            await load();
+            const entry = entries.get(key);
+            
+            if (!entry) return null;
+            
+            if (!isFresh(entry)) {
+                entries.delete(key);
+                await disk?.delete(key);
+                return null;
+            }
+            
+            // Move to the most recently used end
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry;
+        },
+        
+        async set(key, value) {
+            await load();
+            const entry = { key, value, storedAt: Date.now() };
+            remember(entry);
+            await disk?.set(key, entry);
+            return entry;
+        }
+    };
+}
@@ -0,0 +1,58 @@
+/**
+ * Flashcard Input
+ * Validation shared by every endpoint that accepts a set of cards.
+ */
+
+import { ApiError } from './errors.js';
+
+export const MAX_CARDS = 200;
+const MAX_FIELD_LENGTH = 1000;
+
+/**
+ * Validate a `cards` array of { term, definition } (plus optional `id`) and
+ * return trimmed copies. Throws invalid_request when the input is unusable.
+ */
+export function parseCards(cards, { min = 1, max = MAX_CARDS } = {}) {
+    if (!Array.isArray(cards)) {
+        throw new ApiError(400, 'invalid_request', 'Cards must be an array of { term, definition }');
+    }
+    
+    if (cards.length < min) {
+        throw new ApiError(400, 'invalid_request', `At least ${min} card${min === 1 ? '' : 's'} required`);
+    }
+    
+    if (cards.length > max) {
+        throw new ApiError(400, 'invalid_request', `At most ${max} cards are allowed`);
+    }
+    
+    return cards.map((card, index) => {
+        const term = typeof card?.term === 'string' ? card.term.trim() : '';
+        const definition = typeof card?.definition === 'string' ? card.definition.trim() : '';
+        
+        if (!term || !definition) {
+            throw new ApiError(400, 'invalid_request', `Card ${index + 1} needs both a term and a definition`);
+        }
+        
+        if (term.length > MAX_FIELD_LENGTH || definition.length > MAX_FIELD_LENGTH) {
+            throw new ApiError(400, 'invalid_request', `Card ${index + 1} is longer than ${MAX_FIELD_LENGTH} characters`);
+        }
+        
+        const parsed = { term, definition };
+        if (card.id !== undefined) {
+            parsed.id = String(card.id);
+        }
+        return parsed;
+    });
+}
+
+/**
+ * Fisher-Yates shuffle (returns a new array)
+ */
+export function shuffle(items) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
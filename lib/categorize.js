@@ -0,0 +1,132 @@
+/**
+ * Topic Grouping
+ * Clusters a set's cards into a few named topics. Every card ends up in
+ * exactly one topic.
+ */
+
+import { completeStructured, countWords, truncateWords } from './structured.js';
+import { renderPrompt } from './prompts/index.js';
+
+const MAX_NAME_WORDS = 4;
+const FALLBACK_TOPIC = 'Other';
+
+function normalizeTopics(raw) {
+    const topics = Array.isArray(raw.topics) ? raw.topics : [];
+    return {
+        topics: topics.map(topic => ({
+            name: typeof topic?.name === 'string' ? topic.name.trim() : '',
+            cards: Array.isArray(topic?.cards) ? topic.cards.map(Number) : []
+        }))
+    };
+}
+
+function validateTopics(cardCount, maxTopics) {
+    return ({ topics }) => {
+        const errors = [];
+        
+        if (topics.length === 0 || topics.length > maxTopics) {
+            errors.push(`"topics" must contain 1 to ${maxTopics} topics`);
+        }
+        
+        const assigned = new Set();
+        topics.forEach((topic, index) => {
+            if (!topic.name) {
+                errors.push(`topic ${index} needs a name`);
+            } else if (countWords(topic.name) > MAX_NAME_WORDS) {
+                errors.push(`topic ${index} name must be under ${MAX_NAME_WORDS + 1} words`);
+            }
+            if (topic.cards.length === 0) {
+                errors.push(`topic ${index} has no cards`);
+            }
+            topic.cards.forEach(card => {
+                if (!Number.isInteger(card) || card < 0 || card >= cardCount) {
+                    errors.push(`topic ${index} lists unknown card ${card}`);
+                } else if (assigned.has(card)) {
+                    errors.push(`card ${card} is in more than one topic`);
+                }
+                assigned.add(card);
+            });
+        });
+        
+        const missing = cardCount - [...assigned].filter(card => card >= 0 && card < cardCount).length;
+        if (missing > 0) {
+            errors.push(`${missing} cards are not in any topic`);
+        }
+        
+        return errors;
+    };
+}
+
+/**
+ * Keep the model's grouping where it is usable: drop unknown and repeated
+ * cards, merge topics past the limit, and file leftovers under "Other"
+ */
+function repairTopics(cardCount, maxTopics) {
+    return ({ topics }) => {
+        const assigned = new Set();
+        const repaired = topics
+            .filter(topic => topic.name)
+            .map(topic => ({
+                name: truncateWords(topic.name, MAX_NAME_WORDS),
+                cards: topic.cards.filter(card => {
+                    if (!Number.isInteger(card) || card < 0 || card >= cardCount || assigned.has(card)) return false;
+                    assigned.add(card);
+                    return true;
+                })
+            }))
+            .filter(topic => topic.cards.length > 0);
+        
+        if (repaired.length === 0) return null;
+        
+        const leftovers = [];
+        for (let card = 0; card < cardCount; card++) {
+            if (!assigned.has(card)) leftovers.push(card);
+        }
+        
+        // Reserve the last slot for "Other" when there is anything to put in it
+        const kept = repaired.slice(0, leftovers.length > 0 ? maxTopics - 1 : maxTopics);
+        const overflow = repaired.slice(kept.length).flatMap(topic => topic.cards);
+        const other = [...leftovers, ...overflow].sort((a, b) => a - b);
+        
+        return {
+            topics: other.length > 0 ? [...kept, { name: FALLBACK_TOPIC, cards: other }] : kept
+        };
+    };
+}
+
+/**
+ * Group cards into topics
+ * Returns { topics: [{ name, cardIndexes }], model, promptVersion }; card indexes point
+ * into `cards` and are sorted within each topic
+ */
+export async function categorizeCards(cards, { maxTopics }) {
+    const list = cards
+        .map((card, index) => `${index}. ${card.term}: ${card.definition}`)
+        .join('\n');
+    const prompt = renderPrompt('categorize', { cardList: list, maxTopics, maxNameWords: MAX_NAME_WORDS + 1 });
+    
+    const { value, completion } = await completeStructured(
+        {
+            task: 'categorize',
+            variables: { cards, maxTopics },
+            promptVersion: prompt.id,
+            messages: prompt.messages,
+            maxTokens: Math.min(100 + cards.length * 12, 2000),
+            temperature: 0.2
+        },
+        {
+            normalize: normalizeTopics,
+            validate: validateTopics(cards.length, maxTopics),
+            repair: repairTopics(cards.length, maxTopics)
+        }
+    );
+    
+    return {
+        topics: value.topics.map(topic => ({
+            name: topic.name,
+            cardIndexes: [...topic.cards].sort((a, b) => a - b)
+        })),
+        model: completion.model,
+        promptVersion: prompt.id
+    };
+}
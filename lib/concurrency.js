@@ -0,0 +1,58 @@
+/**
+ * Concurrency Helpers
+ */
+
+// Failures that will not change on retry (see errors.js for the codes)
+const NON_RETRYABLE_CODES = [
+    'invalid_request',
+    'provider_not_configured',
+    'upstream_auth_failed',
+    'upstream_quota_exceeded',
+    'quota_exceeded',
+    'context_length_exceeded',
+    'content_filtered',
+    'content_blocked',
+    // completeStructured has already retried these itself
+    'invalid_output',
+    'invalid_model_output'
+];
+
+/**
+ * Map over `items` running at most `limit` calls of `fn` at once.
+ * Results keep the input order.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+    
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Call `fn` until it succeeds, retrying up to `retries` times with
+ * exponential backoff. Errors that will not change on retry (bad request,
+ * auth) are thrown immediately. Resolves to { value, attempts }.
+ */
+export async function withRetry(fn, { retries = 2, baseDelay = 500 } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return { value: await fn(), attempts: attempt };
+        } catch (error) {
+            const retryable = !NON_RETRYABLE_CODES.includes(error.code);
+            if (!retryable || attempt > retries) {
+                error.attempts = attempt;
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, baseDelay * 2 ** (attempt - 1)));
+        }
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * Conversation Sessions
+ * Server-side chat history for /api/chat. Storage is pluggable via
+ * CONVERSATION_STORE (memory | file, defaults to STORE_DRIVER).
+ *
+ * Each conversation belongs to the client that started it (its X-Session-Id,
+ * or its IP when it sends none); other clients can't list, read or delete it.
+ */
+
+import { randomUUID } from 'crypto';
+import { createStore } from './stores/index.js';
+import { estimateTokens } from './tokens.js';
+import { getRequestContext } from './request-context.js';
+
+const DEFAULT_TOKEN_BUDGET = 3000;
+
+let store = null;
+
+function getStore() {
+    if (!store) {
+        store = createStore('conversations', process.env.CONVERSATION_STORE || undefined);
+    }
+    return store;
+}
+
+/**
+ * Token budget for history sent to the model
+ */
+function getTokenBudget() {
+    return Number(process.env.CONVERSATION_TOKEN_BUDGET) || DEFAULT_TOKEN_BUDGET;
+}
+
+/**
+ * Who is calling, from the request context
+ */
+function currentOwner() {
+    const { sessionId, ip } = getRequestContext();
+    return sessionId ? `session:${sessionId}` : `ip:${ip || 'unknown'}`;
+}
+
+/**
+ * Start a new, empty conversation (it is saved with its first turn)
+ */
+export function createConversation({ systemPrompt, promptVersion } = {}) {
+    const now = new Date().toISOString();
+    const conversation = {
+        id: randomUUID(),
+        owner: currentOwner(),
+        systemPrompt: systemPrompt || null,
+        promptVersion: promptVersion || null,
+        messages: [],
+        createdAt: now,
+        updatedAt: now
+    };
+    return conversation;
+}
+
+/**
+ * Fetch one of the caller's conversations, or null if there is none with that id
+ */
+export async function getConversation(id) {
+    const conversation = await getStore().get(id);
+    return conversation && conversation.owner === currentOwner() ? conversation : null;
+}
+
+/**
+ * Delete one of the caller's conversations; resolves to false if there is none with that id
+ */
+export async function deleteConversation(id) {
+    if (!await getConversation(id)) return false;
+    return getStore().delete(id);
+}
+
+/**
+ * Summaries of the caller's conversations, most recently updated first
+ */
+export async function listConversations() {
+    const owner = currentOwner();
+    const conversations = await getStore().list();
+    
+    return conversations
+        .filter(conversation => conversation.owner === owner)
+        .map(({ id, systemPrompt, promptVersion, messages, createdAt, updatedAt }) => ({
+            id,
+            systemPrompt,
+            promptVersion: promptVersion || null,
+            messageCount: messages.length,
+            preview: messages.find(m => m.role === 'user')?.content.slice(0, 80) || '',
+            createdAt,
+            updatedAt
+        }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Append messages to a conversation and save it
+ */
+export async function appendMessages(conversation, newMessages) {
+    const updated = {
+        ...conversation,
+        messages: [...conversation.messages, ...newMessages],
+        updatedAt: new Date().toISOString()
+    };
+    return getStore().set(updated.id, updated);
+}
+
+/**
+ * Build the message list for the model: the system prompt, then as much
+ * recent history as fits in the token budget, then the new user message.
+ * Older turns are dropped first.
+ */
+export function buildContext(conversation, userMessage, budget = getTokenBudget()) {
+    const system = conversation.systemPrompt
+        ? [{ role: 'system', content: conversation.systemPrompt }]
+        : [];
+    
+    let remaining = budget
+        - system.reduce((sum, m) => sum + estimateTokens(m.content), 0)
+        - estimateTokens(userMessage);
+    
+    const history = [];
+    for (let i = conversation.messages.length - 1; i >= 0; i--) {
+        const { role, content } = conversation.messages[i];
+        remaining -= estimateTokens(content);
+        if (remaining < 0) break;
+        history.unshift({ role, content });
+    }
+    
+    // Never start the history with an orphaned assistant reply
+    if (history[0]?.role === 'assistant') {
+        history.shift();
+    }
+    
+    return [...system, ...history, { role: 'user', content: userMessage }];
+}
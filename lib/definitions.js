@@ -0,0 +1,205 @@
+/**
+ * Flashcard Definitions
+ * Shared by the single and batch definition endpoints. The model returns a
+ * structured flashcard which is validated before it reaches the client.
+ *
+ * Results are cached by normalized term, prompt version and model:
+ *   DEFINITION_CACHE_TTL_MS   freshness (default 7 days, 0 disables caching)
+ *   DEFINITION_CACHE_SIZE     entries kept in memory (default 500)
+ *   DEFINITION_CACHE_PERSIST  'true' to keep entries in .data/ across restarts
+ */
+
+import { completeStructured, countWords, truncateWords } from './structured.js';
+import { createCache } from './cache.js';
+import { getProvider } from './providers/index.js';
+import { renderPrompt, promptId } from './prompts/index.js';
+import { ApiError } from './errors.js';
+
+const DEFAULT_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const DEFINITION_WORD_LIMIT = 50;
+export const EXAMPLE_WORD_LIMIT = 30;
+export const PARTS_OF_SPEECH = ['noun', 'verb', 'adjective', 'adverb', 'phrase', 'other'];
+export const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+const MAX_SYNONYMS = 5;
+const MAX_TERM_LENGTH = 200;
+
+/**
+ * Validate a term sent by a client and return it trimmed; throws
+ * invalid_request
+ */
+export function parseTerm(term) {
+    const trimmed = typeof term === 'string' ? term.trim() : '';
+    
+    if (!trimmed) {
+        throw new ApiError(400, 'invalid_request', 'Term is required');
+    }
+    
+    if (trimmed.length > MAX_TERM_LENGTH) {
+        throw new ApiError(400, 'invalid_request', `Term must be under ${MAX_TERM_LENGTH} characters`);
+    }
+    
+    return trimmed;
+}
+
+/**
+ * Coerce harmless differences in the model's JSON
+ */
+function normalizeFlashcard(raw) {
+    const text = value => (typeof value === 'string' ? value.trim() : value);
+    const lower = value => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+    
+    const card = {
+        definition: text(raw.definition),
+        example: text(raw.example ?? raw.exampleSentence),
+        partOfSpeech: lower(raw.partOfSpeech ?? raw.part_of_speech),
+        difficulty: lower(raw.difficulty)
+    };
+    
+    const synonyms = raw.synonyms;
+    if (Array.isArray(synonyms) && synonyms.length > 0) {
+        card.synonyms = synonyms.filter(s => typeof s === 'string' && s.trim()).map(s => s.trim());
+    }
+    
+    return card;
+}
+
+/**
+ * Check a flashcard against the schema; returns a list of problems
+ */
+export function validateFlashcard(card) {
+    const errors = [];
+    
+    if (typeof card.definition !== 'string' || !card.definition) {
+        errors.push('"definition" must be a non-empty string');
+    } else if (countWords(card.definition) > DEFINITION_WORD_LIMIT) {
+        errors.push(`"definition" must be under ${DEFINITION_WORD_LIMIT} words (got ${countWords(card.definition)})`);
+    }
+    
+    if (typeof card.example !== 'string' || !card.example) {
+        errors.push('"example" must be a non-empty string');
+    } else if (countWords(card.example) > EXAMPLE_WORD_LIMIT) {
+        errors.push(`"example" must be under ${EXAMPLE_WORD_LIMIT} words`);
+    }
+    
+    if (!PARTS_OF_SPEECH.includes(card.partOfSpeech)) {
+        errors.push(`"partOfSpeech" must be one of ${PARTS_OF_SPEECH.join(', ')}`);
+    }
+    
+    if (!DIFFICULTIES.includes(card.difficulty)) {
+        errors.push(`"difficulty" must be one of ${DIFFICULTIES.join(', ')}`);
+    }
+    
+    if (card.synonyms !== undefined && (!Array.isArray(card.synonyms) || card.synonyms.length > MAX_SYNONYMS)) {
+        errors.push(`"synonyms" must be an array of at most ${MAX_SYNONYMS} strings`);
+    }
+    
+    return errors;
+}
+
+/**
+ * Last-resort fix once retries run out: enforce the word limits by
+ * truncating and trim the synonym list. Anything else stays invalid.
+ */
+function repairFlashcard(card) {
+    const repaired = { ...card };
+    if (typeof repaired.definition === 'string') {
+        repaired.definition = truncateWords(repaired.definition, DEFINITION_WORD_LIMIT);
+    }
+    if (typeof repaired.example === 'string') {
+        repaired.example = truncateWords(repaired.example, EXAMPLE_WORD_LIMIT);
+    }
+    if (Array.isArray(repaired.synonyms)) {
+        repaired.synonyms = repaired.synonyms.slice(0, MAX_SYNONYMS);
+    }
+    return repaired;
+}
+
+let cache = null;
+
+function getCache() {
+    const ttlMs = Number(process.env.DEFINITION_CACHE_TTL_MS ?? DEFAULT_CACHE_TTL_MS);
+    if (!ttlMs) return null;
+    
+    if (!cache) {
+        cache = createCache({
+            name: 'definition-cache',
+            maxEntries: Number(process.env.DEFINITION_CACHE_SIZE) || 500,
+            ttlMs,
+            persist: process.env.DEFINITION_CACHE_PERSIST === 'true'
+        });
+    }
+    return cache;
+}
+
+/**
+ * Cache key: case and whitespace differences in the term share an entry, and
+ * a new prompt version misses old entries
+ */
+function cacheKey(term) {
+    const normalized = term.trim().toLowerCase().replace(/\s+/g, ' ');
+    return `${promptId('definition')}:${getProvider().model}:${normalized}`;
+}
+
+/**
+ * Ask the model for a flashcard
+ */
+async function requestFlashcard(term) {
+    const prompt = renderPrompt('definition', {
+        term,
+        definitionWordLimit: DEFINITION_WORD_LIMIT,
+        exampleWordLimit: EXAMPLE_WORD_LIMIT,
+        partsOfSpeech: PARTS_OF_SPEECH.map(p => `"${p}"`).join(', '),
+        difficulties: DIFFICULTIES.map(d => `"${d}"`).join(', '),
+        maxSynonyms: MAX_SYNONYMS
+    });
+    
+    const { value, completion } = await completeStructured(
+        {
+            task: 'definition',
+            variables: { term },
+            promptVersion: prompt.id,
+            messages: prompt.messages,
+            maxTokens: 250,
+            temperature: 0.7
+        },
+        {
+            normalize: normalizeFlashcard,
+            validate: validateFlashcard,
+            repair: repairFlashcard
+        }
+    );
+    
+    return { ...value, model: completion.model, promptVersion: prompt.id };
+}
+
+/**
+ * Generate a flashcard for one term, using the cache unless `bypassCache`
+ * Returns { term, definition, example, partOfSpeech, difficulty, synonyms?,
+ * model, promptVersion, cache: { status: 'hit' | 'miss' | 'bypass' | 'off', age? } }
+ */
+export async function generateDefinition(term, { bypassCache = false } = {}) {
+    const definitionCache = getCache();
+    const key = cacheKey(term);
+    
+    if (definitionCache && !bypassCache) {
+        const entry = await definitionCache.get(key);
+        if (entry) {
+            return {
+                term,
+                ...entry.value,
+                cache: { status: 'hit', age: Math.round((Date.now() - entry.storedAt) / 1000) }
+            };
+        }
+    }
+    
+    const card = await requestFlashcard(term);
+    
+    // A bypass still refreshes the cached copy
+    await definitionCache?.set(key, card);
+    
+    let status = 'off';
+    if (definitionCache) status = bypassCache ? 'bypass' : 'miss';
+    
+    return { term, ...card, cache: { status } };
+}
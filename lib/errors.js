@@ -0,0 +1,88 @@
+/**
+ * API Errors
+ * Every failure leaves the API in the same envelope:
+ *   { error: "Human readable message", code: "machine_code", retryAfter? }
+ *
+ * Codes:
+ *   invalid_request            400  missing or malformed input (413 for an oversized body)
+ *   unauthorized               401  admin or set owner token missing or wrong
+ *   forbidden                  403  admin endpoints disabled
+ *   not_found                  404  unknown resource
+ *   method_not_allowed         405
+ *   conflict                   409  resource already exists (e.g. a set id)
+ *   rate_limited               429  per-client request limit (Retry-After set)
+ *   quota_exceeded             429  per-client daily token quota (Retry-After set)
+ *   provider_not_configured    503  no API key / provider settings
+ *   upstream_auth_failed       502  the provider rejected our key
+ *   upstream_rate_limited      503  the provider is throttling us (Retry-After set)
+ *   upstream_quota_exceeded    503  the provider account is out of credit
+ *   upstream_timeout           504  the provider did not answer in time
+ *   upstream_unavailable       502  the provider could not be reached or failed
+ *   context_length_exceeded    413  conversation or input too long for the model
+ *   content_filtered           422  the provider refused the content
+ *   content_blocked            422  our moderation stage blocked the prompt or reply
+ *   invalid_model_output       502  the model's reply failed validation
+ *   internal_error             500  anything else (details are only logged)
+ */
+
+export class ApiError extends Error {
+    constructor(status, code, message, { retryAfter } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        if (retryAfter !== undefined) {
+            this.retryAfter = retryAfter;
+        }
+    }
+}
+
+/**
+ * Convert anything thrown into an ApiError. Unknown errors become
+ * internal_error so their messages never reach the client.
+ */
+export function toApiError(error) {
+    if (error instanceof ApiError) return error;
+    
+    // Body parser failures from express.json()
+    if (error?.type === 'entity.parse.failed') {
+        return new ApiError(400, 'invalid_request', 'Request body is not valid JSON');
+    }
+    if (error?.type === 'entity.too.large') {
+        return new ApiError(413, 'invalid_request', 'Request body is too large');
+    }
+    
+    if (error?.code === 'invalid_output') {
+        return new ApiError(502, 'invalid_model_output', 'The AI returned an answer we could not use. Please try again.');
+    }
+    
+    return new ApiError(500, 'internal_error', 'Something went wrong on the server.');
+}
+
+/**
+ * The JSON body for an error
+ */
+export function errorBody(apiError) {
+    const body = { error: apiError.message, code: apiError.code };
+    if (apiError.retryAfter !== undefined) {
+        body.retryAfter = apiError.retryAfter;
+    }
+    return body;
+}
+
+/**
+ * Log and send an error response
+ */
+export function sendError(res, error) {
+    const apiError = toApiError(error);
+    
+    if (apiError.status >= 500) {
+        console.error(`API error (${apiError.code}):`, error);
+    }
+    
+    if (apiError.retryAfter !== undefined) {
+        res.setHeader('Retry-After', apiError.retryAfter);
+    }
+    
+    return res.status(apiError.status).json(errorBody(apiError));
+}
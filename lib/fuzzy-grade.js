@@ -0,0 +1,126 @@
+/**
+ * Fuzzy Answer Grading
+ * Local, dependency-free grading used when the AI grader is unavailable (and
+ * by the mock provider). Short answers are compared by edit distance, longer
+ * ones by overlap of their content words.
+ */
+
+export const CORRECT_THRESHOLD = 0.8;
+export const PARTIAL_THRESHOLD = 0.5;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'by', 'as',
+    'at', 'is', 'are', 'was', 'be', 'it', 'its', 'that', 'this', 'which', 'from', 'used',
+    'like', 'such', 'can', 'their', 'they', 'them', 'into', 'so', 'do', 'does'
+]);
+
+function normalize(text) {
+    return (text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Crude stemmer: enough to match "components" with "component"
+ */
+function stem(word) {
+    return word.replace(/(ing|edly|ed|ly|es|s)$/, '') || word;
+}
+
+function contentWords(text) {
+    return normalize(text)
+        .split(' ')
+        .filter(word => word && !STOPWORDS.has(word))
+        .map(stem);
+}
+
+function levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    
+    return previous[b.length];
+}
+
+/**
+ * 0..1 similarity of two short strings
+ */
+function stringSimilarity(a, b) {
+    if (!a && !b) return 1;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * 0..1 share of the expected content words found in the answer, with
+ * near-misses (typos) counted
+ */
+function wordOverlap(expected, answer) {
+    const expectedWords = [...new Set(contentWords(expected))];
+    const answerWords = [...new Set(contentWords(answer))];
+    if (expectedWords.length === 0) return 0;
+    
+    const matched = expectedWords.reduce((sum, word) => {
+        const best = answerWords.reduce((max, candidate) => Math.max(max, stringSimilarity(word, candidate)), 0);
+        if (best >= 0.85) return sum + 1;
+        if (best >= 0.7) return sum + 0.5;
+        return sum;
+    }, 0);
+    
+    return matched / expectedWords.length;
+}
+
+export function verdictFor(score) {
+    if (score >= CORRECT_THRESHOLD) return 'correct';
+    if (score >= PARTIAL_THRESHOLD) return 'partially_correct';
+    return 'incorrect';
+}
+
+/**
+ * Grade `answer` against `expected`
+ * Returns { score, verdict, explanation }
+ */
+export function fuzzyGrade(expected, answer) {
+    const expectedText = normalize(expected);
+    const answerText = normalize(answer);
+    
+    if (!answerText) {
+        return { score: 0, verdict: 'incorrect', explanation: 'No answer given.' };
+    }
+    
+    const isShort = expectedText.split(' ').length <= 3;
+    let score = isShort
+        ? stringSimilarity(expectedText, answerText)
+        : wordOverlap(expected, answer);
+    
+    // Recall matters most, but do not let long padded answers slip through
+    if (!isShort && contentWords(answer).length > contentWords(expected).length * 3) {
+        score *= 0.85;
+    }
+    
+    score = Math.round(score * 100) / 100;
+    const verdict = verdictFor(score);
+    
+    const explanations = {
+        correct: 'Your answer matches the expected one.',
+        partially_correct: 'Your answer covers part of the expected one.',
+        incorrect: 'Your answer does not match the expected one.'
+    };
+    
+    return { score, verdict, explanation: `${explanations[verdict]} Expected: "${expected}"` };
+}
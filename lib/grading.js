@@ -0,0 +1,119 @@
+/**
+ * Answer Grading
+ * Grades a student's free-text answer against a card with the model, falling
+ * back to local fuzzy matching when the provider is unavailable.
+ */
+
+import { completeStructured, countWords, truncateWords } from './structured.js';
+import { getProvider } from './providers/index.js';
+import { fuzzyGrade, verdictFor } from './fuzzy-grade.js';
+import { renderPrompt } from './prompts/index.js';
+
+export const VERDICTS = ['correct', 'partially_correct', 'incorrect'];
+const EXPLANATION_WORD_LIMIT = 40;
+
+// Provider failures that should not stop a student from being graded
+const FALLBACK_CODES = [
+    'provider_not_configured',
+    'upstream_auth_failed',
+    'upstream_rate_limited',
+    'upstream_quota_exceeded',
+    'upstream_timeout',
+    'upstream_unavailable',
+    'invalid_model_output'
+];
+
+function normalizeGrade(raw) {
+    let score = Number(raw.score);
+    // Some models answer in percent
+    if (score > 1 && score <= 100) score /= 100;
+    
+    return {
+        score: Math.round(score * 100) / 100,
+        verdict: typeof raw.verdict === 'string'
+            ? raw.verdict.trim().toLowerCase().replace(/[\s-]+/g, '_')
+            : raw.verdict,
+        explanation: typeof raw.explanation === 'string' ? raw.explanation.trim() : ''
+    };
+}
+
+function validateGrade(grade) {
+    const errors = [];
+    if (!Number.isFinite(grade.score) || grade.score < 0 || grade.score > 1) {
+        errors.push('"score" must be a number from 0 to 1');
+    }
+    if (!VERDICTS.includes(grade.verdict)) {
+        errors.push(`"verdict" must be one of ${VERDICTS.join(', ')}`);
+    }
+    if (!grade.explanation) {
+        errors.push('"explanation" must be a non-empty string');
+    } else if (countWords(grade.explanation) > EXPLANATION_WORD_LIMIT) {
+        errors.push(`"explanation" must be under ${EXPLANATION_WORD_LIMIT} words`);
+    }
+    return errors;
+}
+
+function repairGrade(grade) {
+    if (!Number.isFinite(grade.score) || !grade.explanation) return null;
+    return {
+        score: Math.min(Math.max(grade.score, 0), 1),
+        verdict: VERDICTS.includes(grade.verdict) ? grade.verdict : verdictFor(grade.score),
+        explanation: truncateWords(grade.explanation, EXPLANATION_WORD_LIMIT)
+    };
+}
+
+/**
+ * Grade an answer
+ * `direction` is what the student was asked to give: 'definition' (shown the
+ * term) or 'term' (shown the definition). `method` 'fuzzy' skips the model.
+ *
+ * Returns { score, verdict, explanation, method: 'ai' | 'fuzzy', model?,
+ * promptVersion?, fallbackReason? }
+ */
+export async function gradeAnswer(card, answer, { direction = 'definition', method = 'ai' } = {}) {
+    const prompt = direction === 'term' ? card.definition : card.term;
+    const expected = direction === 'term' ? card.term : card.definition;
+    
+    const local = (fallbackReason) => ({
+        ...fuzzyGrade(expected, answer),
+        method: 'fuzzy',
+        ...(fallbackReason ? { fallbackReason } : {})
+    });
+    
+    if (method === 'fuzzy') {
+        return local();
+    }
+    
+    if (!getProvider().isConfigured()) {
+        return local('provider_not_configured');
+    }
+    
+    const gradePrompt = renderPrompt('grade', {
+        prompt,
+        expected,
+        answer,
+        explanationWordLimit: EXPLANATION_WORD_LIMIT
+    });
+    
+    try {
+        const { value, completion } = await completeStructured(
+            {
+                task: 'grade',
+                variables: { expected, answer },
+                promptVersion: gradePrompt.id,
+                messages: gradePrompt.messages,
+                maxTokens: 200,
+                temperature: 0
+            },
+            { normalize: normalizeGrade, validate: validateGrade, repair: repairGrade, retries: 1 }
+        );
+        
+        return { ...value, method: 'ai', model: completion.model, promptVersion: gradePrompt.id };
+    } catch (error) {
+        const code = error.code === 'invalid_output' ? 'invalid_model_output' : error.code;
+        if (!FALLBACK_CODES.includes(code)) throw error;
+        
+        console.warn(`AI grading unavailable (${code}), using fuzzy match`);
+        return local(code);
+    }
+}
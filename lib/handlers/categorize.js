@@ -0,0 +1,23 @@
+import { categorizeCards } from '../categorize.js';
+import { parseCards } from '../cards.js';
+
+const DEFAULT_MAX_TOPICS = 6;
+const MAX_TOPICS = 12;
+
+/**
+ * POST /api/categorize
+ * Body: { cards: [{ term, definition }], maxTopics? }
+ *
+ * Returns { topics: [{ name, cardIndexes }], model }. Every card index
+ * appears in exactly one topic.
+ */
+export default async function categorize(req, res) {
+    const { cards: rawCards, maxTopics } = req.body || {};
+    
+    const cards = parseCards(rawCards, { min: 2 });
+    const topicLimit = Math.min(Math.max(Number(maxTopics) || DEFAULT_MAX_TOPICS, 2), MAX_TOPICS);
+    
+    const result = await categorizeCards(cards, { maxTopics: topicLimit });
+    
+    return res.status(200).json(result);
+}
@@ -0,0 +1,167 @@
+import { getProvider } from '../providers/index.js';
+import { wantsStream, openEventStream } from '../sse.js';
+import { ApiError, toApiError, errorBody } from '../errors.js';
+import { getTemplate, listTemplates, renderPrompt } from '../prompts/index.js';
+import {
+    createConversation,
+    getConversation,
+    appendMessages,
+    buildContext
+} from '../conversations.js';
+
+const PRESET_PREFIX = 'chat/';
+const MAX_MESSAGE_LENGTH = 4000;
+const MAX_SYSTEM_PROMPT_LENGTH = 4000;
+
+/**
+ * The system prompt for a request: a named preset, a raw systemPrompt, or
+ * neither. Returns { systemPrompt, promptVersion } or null when neither is sent.
+ */
+function resolveSystemPrompt({ systemPrompt, preset }) {
+    if (systemPrompt && preset) {
+        throw new ApiError(400, 'invalid_request', 'Send either systemPrompt or preset, not both');
+    }
+    
+    if (preset) {
+        if (typeof preset !== 'string' || !getTemplate(PRESET_PREFIX + preset)) {
+            const available = listTemplates(PRESET_PREFIX).map(t => t.name.slice(PRESET_PREFIX.length));
+            throw new ApiError(400, 'invalid_request', `Unknown preset. Available presets: ${available.join(', ')}`);
+        }
+        const { id, messages } = renderPrompt(PRESET_PREFIX + preset);
+        return { systemPrompt: messages[0].content, promptVersion: id };
+    }
+    
+    if (systemPrompt) {
+        if (typeof systemPrompt !== 'string') {
+            throw new ApiError(400, 'invalid_request', 'System prompt must be text');
+        }
+        if (systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+            throw new ApiError(400, 'invalid_request', `System prompt must be under ${MAX_SYSTEM_PROMPT_LENGTH} characters`);
+        }
+        return { systemPrompt, promptVersion: null };
+    }
+    
+    return null;
+}
+
+/**
+ * POST /api/chat
+ * Body: { message, preset? | systemPrompt?, conversationId?, stream? }
+ *
+ * Without a conversationId a new conversation is started; its id is returned
+ * as `conversationId` so the next call can continue it. `preset` names a
+ * system prompt template (see GET /api/presets); a preset or systemPrompt
+ * sent on a later turn replaces the stored one. Responses carry the
+ * `promptVersion` of the preset in use (null for a raw or missing prompt).
+ *
+ * With `stream: true` (or `Accept: text/event-stream`) the reply is sent as
+ * Server-Sent Events: `token` frames with { delta }, then one `done` frame
+ * with { response, usage, model, conversationId, promptVersion }. Failures after the stream opens
+ * arrive as an `error` frame carrying the standard error envelope.
+ */
+export default async function chat(req, res) {
+    const { message, systemPrompt, preset, conversationId } = req.body || {};
+    
+    if (typeof message !== 'string' || !message.trim()) {
+        throw new ApiError(400, 'invalid_request', 'Message is required');
+    }
+    
+    if (message.length > MAX_MESSAGE_LENGTH) {
+        throw new ApiError(400, 'invalid_request', `Message must be under ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    
+    const system = resolveSystemPrompt({ systemPrompt, preset });
+    let conversation;
+    
+    if (conversationId) {
+        conversation = await getConversation(conversationId);
+        if (!conversation) {
+            throw new ApiError(404, 'not_found', 'Conversation not found');
+        }
+        if (system) {
+            Object.assign(conversation, system);
+        }
+    } else {
+        conversation = createConversation(system || {});
+    }
+    
+    const promptVersion = conversation.promptVersion || null;
+    const request = {
+        task: 'chat',
+        promptVersion,
+        messages: buildContext(conversation, message),
+        maxTokens: 500,
+        temperature: 0.7
+    };
+    
+    // Persist the turn once the full reply is known
+    const saveTurn = (responseText) => appendMessages(conversation, [
+        { role: 'user', content: message },
+        { role: 'assistant', content: responseText }
+    ]);
+    
+    if (wantsStream(req)) {
+        return streamChat(request, res, conversation.id, saveTurn);
+    }
+    
+    const completion = await getProvider().complete(request);
+    
+    const responseText = completion.text;
+    await saveTurn(responseText);
+    
+    return res.status(200).json({ 
+        response: responseText,
+        usage: completion.usage,
+        model: completion.model,
+        conversationId: conversation.id,
+        promptVersion
+    });
+}
+
+/**
+ * Forward completion tokens to the client as they arrive
+ */
+async function streamChat(request, res, conversationId, saveTurn) {
+    const provider = getProvider();
+    const controller = new AbortController();
+    const tokens = provider.stream({ ...request, signal: controller.signal });
+    
+    // Errors before the first byte propagate and are sent as plain JSON
+    const first = await tokens.next();
+    
+    const events = openEventStream(res);
+    
+    // Stop paying for tokens nobody will read
+    res.on('close', () => controller.abort());
+    
+    let responseText = '';
+    let usage = null;
+    
+    try {
+        for (let step = first; !step.done; step = await tokens.next()) {
+            const { delta, usage: reported } = step.value;
+            if (delta) {
+                responseText += delta;
+                events.send('token', { delta });
+            }
+            if (reported) {
+                usage = reported;
+            }
+        }
+        
+        await saveTurn(responseText);
+        events.send('done', {
+            response: responseText,
+            usage,
+            model: provider.model,
+            conversationId,
+            promptVersion: request.promptVersion
+        });
+    } catch (error) {
+        const apiError = toApiError(error);
+        console.error(`Stream error (${apiError.code}):`, error);
+        events.send('error', errorBody(apiError));
+    } finally {
+        events.close();
+    }
+}
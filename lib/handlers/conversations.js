@@ -0,0 +1,38 @@
+import {
+    listConversations as listAll,
+    getConversation as getOne,
+    deleteConversation as deleteOne
+} from '../conversations.js';
+import { ApiError } from '../errors.js';
+
+/**
+ * GET /api/conversations
+ * Only the caller's conversations (matched by X-Session-Id, else IP)
+ */
+export async function listConversations(req, res) {
+    const conversations = await listAll();
+    return res.status(200).json({ conversations });
+}
+
+/**
+ * GET | DELETE /api/conversations/:id
+ * Another client's conversation is reported as not_found.
+ */
+export async function conversationById(req, res) {
+    const { id } = req.params;
+    
+    if (req.method === 'DELETE') {
+        const deleted = await deleteOne(id);
+        if (!deleted) {
+            throw new ApiError(404, 'not_found', 'Conversation not found');
+        }
+        return res.status(200).json({ id, deleted: true });
+    }
+    
+    const conversation = await getOne(id);
+    if (!conversation) {
+        throw new ApiError(404, 'not_found', 'Conversation not found');
+    }
+    const { owner, ...history } = conversation;
+    return res.status(200).json({ conversation: history });
+}
@@ -0,0 +1,19 @@
+import { generateDefinition as define, parseTerm } from '../definitions.js';
+
+/**
+ * POST /api/generate-definition
+ * Body: { term, noCache? }
+ *
+ * `noCache: true` (or a `Cache-Control: no-cache` request header) skips the
+ * cached answer and stores the fresh one.
+ */
+export default async function generateDefinition(req, res) {
+    const { term, noCache } = req.body || {};
+    
+    const trimmedTerm = parseTerm(term);
+    
+    const bypassCache = noCache === true || /no-cache/.test(req.headers?.['cache-control'] || '');
+    const result = await define(trimmedTerm, { bypassCache });
+    
+    return res.status(200).json(result);
+}
@@ -0,0 +1,55 @@
+import { generateDefinition, parseTerm } from '../definitions.js';
+import { mapWithConcurrency, withRetry } from '../concurrency.js';
+import { ApiError, toApiError } from '../errors.js';
+
+const MAX_TERMS = 100;
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 8;
+
+/**
+ * POST /api/generate-definitions
+ * Body: { terms: string[], concurrency?, noCache? }
+ *
+ * Each term is generated independently with retries. The response lists one
+ * result per input term, in order: { term, definition } on success or
+ * { term, error, code } on failure. A failed term never fails the batch.
+ */
+export default async function generateDefinitions(req, res) {
+    const { terms, concurrency, noCache } = req.body || {};
+    
+    if (!Array.isArray(terms) || terms.length === 0) {
+        throw new ApiError(400, 'invalid_request', 'Terms must be a non-empty array');
+    }
+    
+    if (terms.length > MAX_TERMS) {
+        throw new ApiError(400, 'invalid_request', `A batch can contain at most ${MAX_TERMS} terms`);
+    }
+    
+    const limit = Math.min(Math.max(Number(concurrency) || DEFAULT_CONCURRENCY, 1), MAX_CONCURRENCY);
+    
+    const results = await mapWithConcurrency(terms, limit, async (rawTerm) => {
+        let term;
+        try {
+            term = parseTerm(rawTerm);
+        } catch (error) {
+            return { term: rawTerm, ok: false, error: error.message, code: error.code, attempts: 0 };
+        }
+        
+        try {
+            const { value, attempts } = await withRetry(() => generateDefinition(term, { bypassCache: noCache === true }));
+            return { ...value, ok: true, attempts };
+        } catch (error) {
+            const apiError = toApiError(error);
+            console.error(`Definition failed for "${term}" (${apiError.code}):`, error);
+            return { term, ok: false, error: apiError.message, code: apiError.code, attempts: error.attempts };
+        }
+    });
+    
+    const failed = results.filter(r => !r.ok).length;
+    const cacheHits = results.filter(r => r.cache?.status === 'hit').length;
+    
+    return res.status(200).json({
+        results,
+        summary: { total: results.length, succeeded: results.length - failed, failed, cacheHits }
+    });
+}
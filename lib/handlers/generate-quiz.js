@@ -0,0 +1,32 @@
+import { generateQuiz as buildQuiz, QUESTION_TYPES } from '../quiz.js';
+import { parseCards } from '../cards.js';
+import { ApiError } from '../errors.js';
+
+const DEFAULT_COUNT = 10;
+const MAX_COUNT = 30;
+
+/**
+ * POST /api/generate-quiz
+ * Body: { cards: [{ term, definition }], count?, types? }
+ *
+ * `types` is any of multiple_choice, true_false, short_answer (default: all);
+ * questions rotate through them. Every question has { id, type, cardIndex,
+ * prompt, answer }; multiple choice adds `options` [{ id, text }] and
+ * `answer` is the option id, true/false answers are booleans (false ones
+ * carry a `correction`), short answers list `acceptableAnswers`.
+ */
+export default async function generateQuiz(req, res) {
+    const { cards: rawCards, count, types = QUESTION_TYPES } = req.body || {};
+    
+    const cards = parseCards(rawCards, { min: 2 });
+    
+    if (!Array.isArray(types) || types.length === 0 || !types.every(t => QUESTION_TYPES.includes(t))) {
+        throw new ApiError(400, 'invalid_request', `Types must be a list of: ${QUESTION_TYPES.join(', ')}`);
+    }
+    
+    const questionCount = Math.min(Math.max(Number(count) || DEFAULT_COUNT, 1), MAX_COUNT);
+    
+    const quiz = await buildQuiz(cards, { count: questionCount, types: [...new Set(types)] });
+    
+    return res.status(200).json(quiz);
+}
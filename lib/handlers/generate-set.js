@@ -0,0 +1,43 @@
+import { generateStudySet } from '../study-sets.js';
+import { ApiError } from '../errors.js';
+
+const DEFAULT_COUNT = 10;
+const MAX_COUNT = 50;
+const MAX_TOPIC_LENGTH = 200;
+const MAX_NOTES_LENGTH = 12000;
+
+/**
+ * POST /api/generate-set
+ * Body: { topic?, notes?, count? }
+ *
+ * Needs a topic, a block of notes, or both (the topic then focuses the
+ * notes). Returns { title, cards: [{ term, definition }], model }.
+ */
+export default async function generateSet(req, res) {
+    const { topic = '', notes = '', count } = req.body || {};
+    
+    if (typeof topic !== 'string' || typeof notes !== 'string') {
+        throw new ApiError(400, 'invalid_request', 'Topic and notes must be text');
+    }
+    
+    const trimmedTopic = topic.trim();
+    const trimmedNotes = notes.trim();
+    
+    if (!trimmedTopic && !trimmedNotes) {
+        throw new ApiError(400, 'invalid_request', 'A topic or notes are required');
+    }
+    
+    if (trimmedTopic.length > MAX_TOPIC_LENGTH) {
+        throw new ApiError(400, 'invalid_request', `Topic must be under ${MAX_TOPIC_LENGTH} characters`);
+    }
+    
+    if (trimmedNotes.length > MAX_NOTES_LENGTH) {
+        throw new ApiError(400, 'invalid_request', `Notes must be under ${MAX_NOTES_LENGTH} characters`);
+    }
+    
+    const cardCount = Math.min(Math.max(Number(count) || DEFAULT_COUNT, 1), MAX_COUNT);
+    
+    const set = await generateStudySet({ topic: trimmedTopic, notes: trimmedNotes, count: cardCount });
+    
+    return res.status(200).json(set);
+}
@@ -0,0 +1,31 @@
+import { generateTip as buildTip } from '../tips.js';
+import { parseCards } from '../cards.js';
+import { ApiError } from '../errors.js';
+
+const MAX_RELATED_TERMS = 50;
+
+/**
+ * POST /api/generate-tip
+ * Body: { card: { term, definition }, relatedTerms? }
+ *
+ * `relatedTerms` are other terms from the same set; the confusion warning
+ * prefers one of them. Returns { mnemonic, memoryHook, confusion,
+ * confusedWith, model }.
+ */
+export default async function generateTip(req, res) {
+    const { card, relatedTerms = [] } = req.body || {};
+    
+    const [parsedCard] = parseCards([card]);
+    
+    if (!Array.isArray(relatedTerms) || !relatedTerms.every(term => typeof term === 'string')) {
+        throw new ApiError(400, 'invalid_request', 'Related terms must be a list of strings');
+    }
+    
+    const related = [...new Set(relatedTerms.map(term => term.trim()))]
+        .filter(term => term && term.toLowerCase() !== parsedCard.term.toLowerCase())
+        .slice(0, MAX_RELATED_TERMS);
+    
+    const tip = await buildTip(parsedCard, { relatedTerms: related });
+    
+    return res.status(200).json(tip);
+}
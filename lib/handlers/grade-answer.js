@@ -0,0 +1,42 @@
+import { gradeAnswer as grade } from '../grading.js';
+import { parseCards } from '../cards.js';
+import { ApiError } from '../errors.js';
+
+const MAX_ANSWER_LENGTH = 2000;
+const DIRECTIONS = ['definition', 'term'];
+const METHODS = ['ai', 'fuzzy'];
+
+/**
+ * POST /api/grade-answer
+ * Body: { card: { term, definition }, answer, direction?, method? }
+ *
+ * `direction` is what the student typed: the 'definition' (default) or the
+ * 'term'. `method: 'fuzzy'` grades locally without the model; the server
+ * also falls back to fuzzy matching when the provider is unavailable.
+ * Returns { score, verdict, explanation, method, fallbackReason? }.
+ */
+export default async function gradeAnswer(req, res) {
+    const { card, answer, direction = 'definition', method = 'ai' } = req.body || {};
+    
+    const [parsedCard] = parseCards([card]);
+    
+    if (typeof answer !== 'string') {
+        throw new ApiError(400, 'invalid_request', 'Answer is required');
+    }
+    
+    if (answer.length > MAX_ANSWER_LENGTH) {
+        throw new ApiError(400, 'invalid_request', `Answer must be under ${MAX_ANSWER_LENGTH} characters`);
+    }
+    
+    if (!DIRECTIONS.includes(direction)) {
+        throw new ApiError(400, 'invalid_request', `Direction must be one of: ${DIRECTIONS.join(', ')}`);
+    }
+    
+    if (!METHODS.includes(method)) {
+        throw new ApiError(400, 'invalid_request', `Method must be one of: ${METHODS.join(', ')}`);
+    }
+    
+    const result = await grade(parsedCard, answer.trim(), { direction, method });
+    
+    return res.status(200).json(result);
+}
@@ -0,0 +1,6 @@
+/**
+ * GET /api/health
+ */
+export default async function health(req, res) {
+    return res.status(200).json({ status: 'ok' });
+}
@@ -0,0 +1,18 @@
+import { getModerationStats } from '../moderation/index.js';
+import { requireAdmin } from '../admin.js';
+
+const MAX_DAYS = 90;
+
+/**
+ * GET /api/admin/moderation?days=30
+ * Admin only. Returns { checker, days: [{ day, total, byStage, byCategory,
+ * byRoute }], totals }.
+ */
+export default async function moderationStats(req, res) {
+    requireAdmin(req);
+    
+    const days = Math.min(Math.max(Number(req.query?.days) || 30, 1), MAX_DAYS);
+    const stats = await getModerationStats({ days });
+    
+    return res.status(200).json(stats);
+}
@@ -0,0 +1,16 @@
+import { listTemplates } from '../prompts/index.js';
+
+/**
+ * GET /api/presets
+ * Chat presets usable as `preset` in /api/chat: [{ name, version, id, description }]
+ */
+export default async function listPresets(req, res) {
+    const presets = listTemplates('chat/').map(({ name, version, id, description }) => ({
+        name: name.slice('chat/'.length),
+        version,
+        id,
+        description
+    }));
+    
+    return res.status(200).json({ presets });
+}
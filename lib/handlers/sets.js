@@ -0,0 +1,74 @@
+import {
+    listSets as listAll,
+    getSet as getOne,
+    createSet as createOne,
+    updateSet as updateOne,
+    deleteSet as deleteOne
+} from '../sets.js';
+import { ApiError } from '../errors.js';
+
+const MIN_OWNER_TOKEN_LENGTH = 16;
+const MAX_OWNER_TOKEN_LENGTH = 200;
+
+/**
+ * The caller's X-Owner-Token; every sets request needs one
+ */
+function requireOwnerToken(req) {
+    const token = req.headers?.['x-owner-token'];
+    if (typeof token !== 'string' || token.length < MIN_OWNER_TOKEN_LENGTH || token.length > MAX_OWNER_TOKEN_LENGTH) {
+        throw new ApiError(401, 'unauthorized', 'An X-Owner-Token header is required');
+    }
+    return token;
+}
+
+/**
+ * GET | POST /api/sets
+ * POST body: { title, cards: [{ term, definition, id?, topic?, tip?, translation?, review? }], creator?, id? }
+ * GET returns the caller's sets { sets: [{ id, title, cardCount, createdAt, updatedAt }] };
+ * POST returns 201 { set }.
+ */
+export async function sets(req, res) {
+    const ownerToken = requireOwnerToken(req);
+    
+    if (req.method === 'POST') {
+        const { id, title, cards, creator } = req.body || {};
+        const set = await createOne({ id, title, cards, creator }, ownerToken);
+        return res.status(201).json({ set });
+    }
+    
+    const all = await listAll(ownerToken);
+    return res.status(200).json({ sets: all });
+}
+
+/**
+ * GET | PUT | DELETE /api/sets/:id
+ * PUT body: { title?, cards? }; `cards` replaces the whole list.
+ * Another owner's set is reported as not_found.
+ */
+export async function setById(req, res) {
+    const { id } = req.params;
+    const ownerToken = requireOwnerToken(req);
+    
+    if (req.method === 'DELETE') {
+        const deleted = await deleteOne(id, ownerToken);
+        if (!deleted) {
+            throw new ApiError(404, 'not_found', 'Set not found');
+        }
+        return res.status(200).json({ id, deleted: true });
+    }
+    
+    if (req.method === 'PUT') {
+        const { title, cards } = req.body || {};
+        const set = await updateOne(id, { title, cards }, ownerToken);
+        if (!set) {
+            throw new ApiError(404, 'not_found', 'Set not found');
+        }
+        return res.status(200).json({ set });
+    }
+    
+    const set = await getOne(id, ownerToken);
+    if (!set) {
+        throw new ApiError(404, 'not_found', 'Set not found');
+    }
+    return res.status(200).json({ set });
+}
@@ -0,0 +1,40 @@
+import { translateSet as translate, TRANSLATE_FIELDS } from '../translate.js';
+import { parseCards } from '../cards.js';
+import { ApiError } from '../errors.js';
+
+const MAX_LANGUAGE_LENGTH = 40;
+
+/**
+ * POST /api/translate-set
+ * Body: { cards: [{ term, definition }], language, fields?, keepTechnicalTerms? }
+ *
+ * `fields` is 'definitions' (default), 'terms' or 'both'. With
+ * `keepTechnicalTerms: true` jargon and names stay in the original language.
+ * Returns { language, fields, cards, model }; `cards` are in input order.
+ */
+export default async function translateSet(req, res) {
+    const { cards: rawCards, language, fields = 'definitions', keepTechnicalTerms = false } = req.body || {};
+    
+    const cards = parseCards(rawCards);
+    
+    const targetLanguage = typeof language === 'string' ? language.trim() : '';
+    if (!targetLanguage) {
+        throw new ApiError(400, 'invalid_request', 'Language is required');
+    }
+    
+    if (targetLanguage.length > MAX_LANGUAGE_LENGTH) {
+        throw new ApiError(400, 'invalid_request', `Language must be under ${MAX_LANGUAGE_LENGTH} characters`);
+    }
+    
+    if (!TRANSLATE_FIELDS.includes(fields)) {
+        throw new ApiError(400, 'invalid_request', `Fields must be one of: ${TRANSLATE_FIELDS.join(', ')}`);
+    }
+    
+    const result = await translate(cards, {
+        language: targetLanguage,
+        fields,
+        keepTechnicalTerms: keepTechnicalTerms === true
+    });
+    
+    return res.status(200).json(result);
+}
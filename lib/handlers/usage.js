@@ -0,0 +1,19 @@
+import { getUsageReport } from '../usage.js';
+import { requireAdmin } from '../admin.js';
+
+const MAX_DAYS = 90;
+
+/**
+ * GET /api/usage?days=7
+ * Admin only. Returns { days, totals, byDay, byEndpoint, byClient }; each
+ * group carries { calls, promptTokens, completionTokens, totalTokens,
+ * costUsd, avgLatencyMs }.
+ */
+export default async function usageReport(req, res) {
+    requireAdmin(req);
+    
+    const days = Math.min(Math.max(Number(req.query?.days) || 7, 1), MAX_DAYS);
+    const report = await getUsageReport({ days });
+    
+    return res.status(200).json(report);
+}
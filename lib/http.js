@@ -0,0 +1,91 @@
+/**
+ * HTTP Adapters
+ * Thin wrappers that run registry routes under Express or as Vercel functions,
+ * so both environments share CORS, method checks, configuration checks and
+ * rate limits.
+ */
+
+import { routes, findRoute } from './routes.js';
+import { getProvider } from './providers/index.js';
+import { checkRateLimit } from './rate-limit.js';
+import { runWithRequestContext, getRequestContext } from './request-context.js';
+import { ApiError, sendError } from './errors.js';
+
+/**
+ * Set CORS headers for a route
+ */
+function applyCors(res, methods) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Session-Id, X-Owner-Token, Authorization');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining');
+}
+
+/**
+ * Run a route's handler after the shared checks. Anything thrown, by the
+ * checks or the handler, is sent in the standard error envelope.
+ */
+async function dispatch(route, req, res) {
+    applyCors(res, route.methods);
+    
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+    
+    try {
+        if (!route.methods.includes(req.method)) {
+            throw new ApiError(405, 'method_not_allowed', 'Method not allowed');
+        }
+        
+        if (route.ai && !route.offline && !getProvider().isConfigured()) {
+            throw new ApiError(503, 'provider_not_configured', 'OpenAI API key is not configured. Please add OPENAI_API_KEY to your environment variables, or set LLM_PROVIDER=mock to work offline.');
+        }
+        
+        return await runWithRequestContext(route, req, async () => {
+            if (route.ai) {
+                const limit = await checkRateLimit(getRequestContext());
+                
+                if (limit.limit !== undefined) {
+                    res.setHeader('X-RateLimit-Limit', limit.limit);
+                    res.setHeader('X-RateLimit-Remaining', limit.remaining);
+                }
+                
+                if (!limit.allowed) {
+                    throw new ApiError(429, limit.code, limit.reason, { retryAfter: limit.retryAfter });
+                }
+            }
+            
+            return await route.handler(req, res);
+        });
+    } catch (error) {
+        if (res.headersSent) {
+            console.error('Error after response started:', error);
+            return res.end();
+        }
+        return sendError(res, error);
+    }
+}
+
+/**
+ * Register every route on an Express app
+ */
+export function mountRoutes(app) {
+    routes.forEach(route => {
+        app.all(route.path, (req, res, next) => {
+            dispatch(route, req, res).catch(next);
+        });
+    });
+}
+
+/**
+ * Create a Vercel function for the route registered at `path`
+ */
+export function createVercelHandler(path) {
+    const route = findRoute(path);
+    
+    return async function handler(req, res) {
+        // Vercel exposes dynamic path segments as query params
+        req.params = { ...req.query, ...req.params };
+        return dispatch(route, req, res);
+    };
+}
@@ -0,0 +1,178 @@
+/**
+ * Moderation
+ * Checks what goes to the model and what comes back before students see it.
+ * Choose a checker with env:
+ *
+ *   MODERATION_PROVIDER  local (default) | openai | none
+ *   MODERATION_BLOCKLIST extra words or phrases for the local checker
+ *   MODERATION_STORE     memory | file for block counts (defaults to STORE_DRIVER)
+ *
+ * Checker interface:
+ *   name
+ *   check(text) -> { flagged, categories: [string] }
+ *
+ * Blocked content raises content_blocked (422). Every block is counted per
+ * UTC day by stage, category and route; read the counts with
+ * getModerationStats().
+ */
+
+import { createLocalModerator } from './local.js';
+import { createOpenAIModerator } from './openai.js';
+import { createStore } from '../stores/index.js';
+import { getRequestContext } from '../request-context.js';
+import { ApiError } from '../errors.js';
+
+// Streamed replies are re-checked each time this many characters arrive
+const STREAM_CHECK_INTERVAL = 200;
+
+const BLOCK_MESSAGES = {
+    input: 'That message can\'t be sent. Please keep requests appropriate for the classroom.',
+    output: 'The AI\'s answer was withheld because it wasn\'t appropriate for the classroom.'
+};
+
+let moderator;
+let store = null;
+
+function getStore() {
+    if (!store) {
+        store = createStore('moderation', process.env.MODERATION_STORE || undefined);
+    }
+    return store;
+}
+
+function createModerator() {
+    const type = process.env.MODERATION_PROVIDER || 'local';
+    
+    switch (type) {
+        case 'local':
+            return createLocalModerator();
+        case 'openai':
+            return createOpenAIModerator({ apiKey: process.env.OPENAI_API_KEY });
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown MODERATION_PROVIDER "${type}"`);
+    }
+}
+
+/**
+ * Get the configured checker (created on first use), or null when disabled
+ */
+export function getModerator() {
+    if (moderator === undefined) {
+        moderator = createModerator();
+    }
+    return moderator;
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+async function recordBlock(stage, categories) {
+    const { route = 'unknown' } = getRequestContext();
+    const day = today();
+    const key = `blocks:${day}`;
+    const stats = await getStore().get(key) || { key, day, total: 0, byStage: {}, byCategory: {}, byRoute: {} };
+    
+    stats.total++;
+    stats.byStage[stage] = (stats.byStage[stage] || 0) + 1;
+    stats.byRoute[route] = (stats.byRoute[route] || 0) + 1;
+    categories.forEach(category => {
+        stats.byCategory[category] = (stats.byCategory[category] || 0) + 1;
+    });
+    
+    await getStore().set(key, stats);
+}
+
+/**
+ * Throw content_blocked if `text` is flagged. `stage` is 'input' or 'output'.
+ */
+export async function moderate(text, stage) {
+    const checker = getModerator();
+    if (!checker || !text) return;
+    
+    const { flagged, categories } = await checker.check(text);
+    if (!flagged) return;
+    
+    const { route } = getRequestContext();
+    console.warn(`Moderation blocked ${stage} on ${route || 'unknown route'}: ${categories.join(', ') || 'unspecified'}`);
+    await recordBlock(stage, categories);
+    
+    throw new ApiError(422, 'content_blocked', BLOCK_MESSAGES[stage]);
+}
+
+/**
+ * Text of the messages a caller supplied. Assistant turns were already
+ * checked as output when they were generated.
+ */
+function inputText(messages) {
+    return messages
+        .filter(message => message.role !== 'assistant')
+        .map(message => message.content)
+        .join('\n');
+}
+
+/**
+ * Wrap a provider so prompts are checked before they are sent and replies
+ * before they are returned. Streams are checked as they grow, so at most a
+ * few hundred characters reach the client before a block.
+ */
+export function withModeration(base) {
+    return {
+        ...base,
+        
+        async complete(options) {
+            await moderate(inputText(options.messages), 'input');
+            const result = await base.complete(options);
+            await moderate(result.text, 'output');
+            return result;
+        },
+        
+        async *stream(options) {
+            await moderate(inputText(options.messages), 'input');
+            
+            let text = '';
+            let checkedLength = 0;
+            for await (const chunk of base.stream(options)) {
+                if (chunk.delta) {
+                    text += chunk.delta;
+                    if (text.length - checkedLength >= STREAM_CHECK_INTERVAL) {
+                        await moderate(text, 'output');
+                        checkedLength = text.length;
+                    }
+                }
+                yield chunk;
+            }
+            if (text.length > checkedLength) {
+                await moderate(text, 'output');
+            }
+        }
+    };
+}
+
+/**
+ * Block counts for the last `days` UTC days, newest first, plus totals
+ */
+export async function getModerationStats({ days = 30 } = {}) {
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const entries = (await getStore().list())
+        .filter(entry => entry.key?.startsWith('blocks:') && entry.day >= since)
+        .sort((a, b) => b.day.localeCompare(a.day));
+    
+    const totals = { total: 0, byStage: {}, byCategory: {}, byRoute: {} };
+    entries.forEach(entry => {
+        totals.total += entry.total;
+        ['byStage', 'byCategory', 'byRoute'].forEach(group => {
+            Object.entries(entry[group]).forEach(([name, count]) => {
+                totals[group][name] = (totals[group][name] || 0) + count;
+            });
+        });
+    });
+    
+    return {
+        checker: getModerator()?.name || 'none',
+        days: entries.map(({ key, ...entry }) => entry),
+        totals
+    };
+}
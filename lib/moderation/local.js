@@ -0,0 +1,59 @@
+/**
+ * Local Moderation Checker
+ * Keyword and regex rules that run offline. They aim at clear-cut cases
+ * (self-harm intent, sexual content, threats, harassment) rather than
+ * topics, so a biology or history set is not blocked for naming things.
+ * Add words or phrases with MODERATION_BLOCKLIST (comma separated).
+ */
+
+const RULES = {
+    self_harm: [
+        /\b(kill|hurt|cut|harm)\s+myself\b/i,
+        /\bwant(s|ed)?\s+to\s+die\b/i,
+        /\bhow\s+(do\s+i|to|can\s+i)\s+(commit\s+)?suicide\b/i,
+        /\bend\s+my\s+(own\s+)?life\b/i
+    ],
+    sexual: [
+        /\bporn\w*\b/i,
+        /\bxxx\b/i,
+        /\b(send|share)\s+(me\s+)?nudes?\b/i,
+        /\bsexting\b/i
+    ],
+    violence: [
+        /\bhow\s+(do\s+i|to|can\s+i)\s+(make|build)\s+(a\s+)?(bomb|pipe\s*bomb|explosive)s?\b/i,
+        /\b(i\s+will|i'?m\s+going\s+to|gonna)\s+(kill|shoot|stab)\s+(you|him|her|them|everyone)\b/i,
+        /\bschool\s+shooting\s+plan\b/i
+    ],
+    harassment: [
+        /\bkys\b/i,
+        /\bgo\s+(kill\s+yourself|die)\b/i,
+        /\bnobody\s+(likes|loves)\s+you\b/i
+    ]
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function blocklistRules() {
+    return (process.env.MODERATION_BLOCKLIST || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => new RegExp(`\\b${escapeRegExp(entry).replace(/\s+/g, '\\s+')}\\b`, 'i'));
+}
+
+export function createLocalModerator() {
+    const rules = { ...RULES, blocklist: blocklistRules() };
+    
+    return {
+        name: 'local',
+        
+        async check(text) {
+            const categories = Object.entries(rules)
+                .filter(([, patterns]) => patterns.some(pattern => pattern.test(text)))
+                .map(([category]) => category);
+            return { flagged: categories.length > 0, categories };
+        }
+    };
+}
@@ -0,0 +1,31 @@
+/**
+ * OpenAI Moderation Checker
+ * Uses the moderation endpoint, falling back to the local rules when it
+ * cannot be reached so a network blip never disables moderation.
+ */
+
+import OpenAI from 'openai';
+import { createLocalModerator } from './local.js';
+
+export function createOpenAIModerator({ apiKey, model = 'omni-moderation-latest' }) {
+    const client = new OpenAI({ apiKey });
+    const fallback = createLocalModerator();
+    
+    return {
+        name: 'openai',
+        
+        async check(text) {
+            try {
+                const { results } = await client.moderations.create({ model, input: text });
+                const [result] = results;
+                const categories = Object.entries(result.categories)
+                    .filter(([, flagged]) => flagged)
+                    .map(([category]) => category.replace(/[/-]/g, '_'));
+                return { flagged: result.flagged, categories };
+            } catch (error) {
+                console.warn(`OpenAI moderation failed (${error.message}), using local rules`);
+                return fallback.check(text);
+            }
+        }
+    };
+}
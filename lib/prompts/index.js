@@ -0,0 +1,87 @@
+/**
+ * Prompt Registry
+ * Looks up named, versioned templates (templates.js) and fills in their
+ * variables. The version id, e.g. "definition@v2", travels with each model
+ * call as `promptVersion` so it reaches responses and usage logs.
+ */
+
+import { templates } from './templates.js';
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+function variablesIn(template) {
+    const text = `${template.system || ''}\n${template.user || ''}`;
+    return [...new Set([...text.matchAll(PLACEHOLDER)].map(([, name]) => name))];
+}
+
+/**
+ * Find a template; the highest version wins unless `version` is given
+ */
+export function getTemplate(name, version) {
+    return templates
+        .filter(template => template.name === name && (version === undefined || template.version === version))
+        .sort((a, b) => b.version - a.version)[0] || null;
+}
+
+/**
+ * Version id of the latest version of a template, e.g. "definition@v2"
+ */
+export function promptId(name) {
+    const template = getTemplate(name);
+    if (!template) {
+        throw new Error(`Unknown prompt template "${name}"`);
+    }
+    return `${name}@v${template.version}`;
+}
+
+/**
+ * Summaries of the latest version of every template, optionally only those
+ * whose name starts with `prefix`
+ */
+export function listTemplates(prefix = '') {
+    const names = [...new Set(templates.map(template => template.name))]
+        .filter(name => name.startsWith(prefix));
+    
+    return names.map(name => {
+        const template = getTemplate(name);
+        return {
+            name,
+            version: template.version,
+            id: `${name}@v${template.version}`,
+            description: template.description,
+            variables: variablesIn(template)
+        };
+    });
+}
+
+function fill(text, variables, id) {
+    return text.replace(PLACEHOLDER, (_, name) => {
+        if (variables[name] === undefined || variables[name] === null) {
+            throw new Error(`Prompt ${id} is missing the "${name}" variable`);
+        }
+        return String(variables[name]);
+    });
+}
+
+/**
+ * Render a template into chat messages
+ * Returns { id, messages }; `messages` holds the system and/or user message
+ * the template defines. A missing variable is a programming error and throws.
+ */
+export function renderPrompt(name, variables = {}, { version } = {}) {
+    const template = getTemplate(name, version);
+    if (!template) {
+        throw new Error(`Unknown prompt template "${name}"`);
+    }
+    
+    const id = `${name}@v${template.version}`;
+    const messages = [];
+    if (template.system) {
+        messages.push({ role: 'system', content: fill(template.system, variables, id) });
+    }
+    if (template.user) {
+        messages.push({ role: 'user', content: fill(template.user, variables, id) });
+    }
+    
+    return { id, messages };
+}
@@ -0,0 +1,168 @@
+/**
+ * LLM Providers
+ * Every endpoint talks to the model through getProvider(). Choose one with env:
+ *
+ *   LLM_PROVIDER  openai (default) | compatible | mock
+ *   LLM_MODEL     model name (defaults: gpt-3.5-turbo, local-model, mock-1)
+ *   LLM_BASE_URL  base URL for `compatible`, e.g. http://localhost:11434/v1
+ *   LLM_API_KEY   key for `compatible` servers that need one
+ *   LLM_TIMEOUT_MS  per-request timeout (default 60000)
+ *
+ * Provider interface:
+ *   name, model
+ *   isConfigured()                 -> boolean
+ *   complete(options)              -> { text, usage, model }
+ *   stream(options)                -> async iterable of { delta } | { usage }
+ *
+ * options: { task, messages, maxTokens, temperature, json?, variables?,
+ *            promptVersion?, signal? }
+ * `task` names the feature making the call; the mock provider uses it to
+ * pick a reply and `variables` carries the inputs it needs. `promptVersion`
+ * is the prompt template id (see ../prompts/), passed on for logging.
+ *
+ * Subscribe with onCompletion(listener) to hear about every finished call:
+ * { task, model, usage, latencyMs, promptVersion }. Listeners run inside the request's
+ * context (see request-context.js). Streams that end early (client gone,
+ * error, moderation block) are reported too, with usage estimated from the
+ * text sent and received when the provider never reported it.
+ *
+ * Register beforeCall(check) to run a check before every call; a check that
+ * throws stops the call (rate-limit.js uses this for daily token quotas).
+ *
+ * Prompts and replies pass through the moderation stage (../moderation/).
+ */
+
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+import { withModeration } from '../moderation/index.js';
+import { estimateTokens } from '../tokens.js';
+
+let provider = null;
+const completionListeners = [];
+const beforeCallChecks = [];
+
+/**
+ * Register a check awaited before every model call
+ */
+export function beforeCall(check) {
+    beforeCallChecks.push(check);
+}
+
+async function runBeforeCallChecks(options) {
+    for (const check of beforeCallChecks) {
+        await check(options);
+    }
+}
+
+/**
+ * Register a listener called after every completed model call
+ */
+export function onCompletion(listener) {
+    completionListeners.push(listener);
+}
+
+function notifyCompletion(record) {
+    completionListeners.forEach(listener => {
+        Promise.resolve()
+            .then(() => listener(record))
+            .catch(error => console.error('Completion listener failed:', error));
+    });
+}
+
+/**
+ * Rough usage for a stream that ended before the provider reported it
+ */
+function estimateUsage(messages, text) {
+    const prompt_tokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    const completion_tokens = estimateTokens(text);
+    return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+}
+
+/**
+ * Wrap a provider so every call is checked first and reports its usage to the listeners
+ */
+function instrument(base) {
+    return {
+        ...base,
+        
+        async complete(options) {
+            await runBeforeCallChecks(options);
+            const started = Date.now();
+            const result = await base.complete(options);
+            notifyCompletion({
+                task: options.task,
+                model: result.model,
+                usage: result.usage,
+                latencyMs: Date.now() - started,
+                promptVersion: options.promptVersion || null
+            });
+            return result;
+        },
+        
+        async *stream(options) {
+            await runBeforeCallChecks(options);
+            const started = Date.now();
+            let usage = null;
+            let text = '';
+            try {
+                for await (const chunk of base.stream(options)) {
+                    if (chunk.usage) usage = chunk.usage;
+                    if (chunk.delta) text += chunk.delta;
+                    yield chunk;
+                }
+            } finally {
+                // Also runs when the consumer stops early or the stream fails
+                if (usage || text) {
+                    notifyCompletion({
+                        task: options.task,
+                        model: base.model,
+                        usage: usage || estimateUsage(options.messages, text),
+                        latencyMs: Date.now() - started,
+                        promptVersion: options.promptVersion || null
+                    });
+                }
+            }
+        }
+    };
+}
+
+function createProvider() {
+    const type = process.env.LLM_PROVIDER || 'openai';
+    const model = process.env.LLM_MODEL;
+    const timeout = Number(process.env.LLM_TIMEOUT_MS) || 60000;
+    
+    switch (type) {
+        case 'openai':
+            return createOpenAIProvider({
+                apiKey: process.env.OPENAI_API_KEY,
+                model: model || 'gpt-3.5-turbo',
+                timeout
+            });
+        case 'compatible':
+            if (!process.env.LLM_BASE_URL) {
+                throw new Error('LLM_BASE_URL is required when LLM_PROVIDER=compatible');
+            }
+            return createOpenAIProvider({
+                name: 'compatible',
+                // Most local servers ignore the key, but the client requires one
+                apiKey: process.env.LLM_API_KEY || 'not-needed',
+                baseURL: process.env.LLM_BASE_URL,
+                model: model || 'local-model',
+                timeout
+            });
+        case 'mock':
+            return createMockProvider({ model: model || 'mock-1' });
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${type}"`);
+    }
+}
+
+/**
+ * Get the configured provider (created on first use)
+ */
+export function getProvider() {
+    if (!provider) {
+        provider = withModeration(instrument(createProvider()));
+    }
+    return provider;
+}
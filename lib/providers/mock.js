@@ -0,0 +1,196 @@
+/**
+ * Mock Provider
+ * Deterministic, offline stand-in for a real model. The same request always
+ * produces the same reply, so workshops and tests can run without a key.
+ *
+ * Callers pass a `task` name with each request; tasks with a responder below
+ * get a purpose-built reply, everything else gets a generic chat answer.
+ */
+
+import { estimateTokens } from '../tokens.js';
+import { fuzzyGrade } from '../fuzzy-grade.js';
+
+/**
+ * Small stable hash, used to vary replies per input
+ */
+function hash(text) {
+    let h = 0;
+    for (let i = 0; i < text.length; i++) {
+        h = (h * 31 + text.charCodeAt(i)) | 0;
+    }
+    return Math.abs(h);
+}
+
+function lastUserMessage(messages) {
+    for (let i = messages.length - 1; i >= 0; i--) {
+        if (messages[i].role === 'user') return messages[i].content;
+    }
+    return '';
+}
+
+const CHAT_OPENERS = [
+    'Good question.',
+    'Here is a short answer.',
+    'Let me break that down.',
+    'In brief:'
+];
+
+/**
+ * Replies keyed by task name; each receives the request options
+ */
+const responders = {
+    chat({ messages }) {
+        const message = lastUserMessage(messages);
+        const opener = CHAT_OPENERS[hash(message) % CHAT_OPENERS.length];
+        const turn = messages.filter(m => m.role === 'user').length;
+        return `${opener} (mock reply, turn ${turn}) You asked: "${message.slice(0, 200)}"`;
+    },
+    
+    definition({ variables = {} }) {
+        const term = variables.term;
+        return JSON.stringify({
+            definition: `${term} is a core idea worth knowing: it names a concept, tool or practice in its field. (Mock definition)`,
+            example: `Our study group reviewed ${term} before the exam.`,
+            partOfSpeech: 'noun',
+            difficulty: ['beginner', 'intermediate', 'advanced'][hash(term) % 3],
+            synonyms: []
+        });
+    },
+    
+    quiz({ variables = {} }) {
+        const { cards = [], plan = [] } = variables;
+        // Neighbouring cards stand in for "most confusable"
+        const other = (cardIndex, step) => (cardIndex + step) % cards.length;
+        
+        return JSON.stringify({
+            items: plan.map(({ id, type, cardIndex }) => {
+                if (type === 'multiple_choice') {
+                    const distractors = [1, 2, 3]
+                        .map(step => other(cardIndex, step))
+                        .filter(index => index !== cardIndex);
+                    return { id, distractors: [...new Set(distractors)] };
+                }
+                if (type === 'true_false') {
+                    return { id, falseMatch: other(cardIndex, 1) };
+                }
+                return {
+                    id,
+                    prompt: `Which term describes this: ${cards[cardIndex].definition}?`,
+                    acceptableAnswers: [cards[cardIndex].term.toLowerCase()]
+                };
+            })
+        });
+    },
+    
+    categorize({ variables = {} }) {
+        const { cards = [], maxTopics = 6 } = variables;
+        // Fixed-size runs of consecutive cards, named after their first term
+        const size = Math.max(Math.ceil(cards.length / Math.min(3, maxTopics)), 1);
+        const topics = [];
+        for (let start = 0; start < cards.length; start += size) {
+            const indexes = cards.slice(start, start + size).map((_, offset) => start + offset);
+            topics.push({ name: `${cards[start].term} and more`, cards: indexes });
+        }
+        return JSON.stringify({ topics });
+    },
+    
+    tip({ variables = {} }) {
+        const { card = {}, relatedTerms = [] } = variables;
+        const term = card.term || 'this term';
+        const confusedWith = relatedTerms.length > 0 ? relatedTerms[hash(term) % relatedTerms.length] : null;
+        const initials = term.split(/\s+/).map(word => word[0]?.toUpperCase()).join('');
+        return JSON.stringify({
+            mnemonic: `Remember "${initials}": say ${term} out loud with its definition three times. (Mock tip)`,
+            memoryHook: `Picture ${term} written on the door of your classroom.`,
+            confusion: confusedWith
+                ? `${term} is easy to mix up with ${confusedWith}; compare their definitions side by side.`
+                : `Do not mix ${term} up with similar-sounding terms; check the definition.`,
+            confusedWith
+        });
+    },
+    
+    translate({ variables = {} }) {
+        const { cards = [], language = '', keepTechnicalTerms = false } = variables;
+        // Tag text with the language instead of translating it
+        const tag = `[${language}]`;
+        return JSON.stringify({
+            cards: cards.map(({ index, term, definition }) => ({
+                index,
+                term: keepTechnicalTerms ? term : `${tag} ${term}`,
+                definition: `${tag} ${definition}`
+            }))
+        });
+    },
+    
+    grade({ variables = {} }) {
+        const { score, verdict } = fuzzyGrade(variables.expected, variables.answer);
+        return JSON.stringify({
+            score,
+            verdict,
+            explanation: 'Mock grade based on word overlap with the expected answer.'
+        });
+    },
+    
+    'study-set'({ variables = {} }) {
+        const { topic, notes, count = 10 } = variables;
+        let cards;
+        
+        if (notes) {
+            // One card per sentence: its first few words become the term
+            cards = notes
+                .split(/(?<=[.!?])\s+|\n+/)
+                .map(sentence => sentence.trim())
+                .filter(sentence => sentence.split(/\s+/).length >= 4)
+                .map(sentence => ({
+                    term: sentence.split(/\s+/).slice(0, 3).join(' ').replace(/[^\w\s-]/g, ''),
+                    definition: sentence
+                }));
+        } else {
+            cards = Array.from({ length: count }, (_, i) => ({
+                term: `${topic} concept ${i + 1}`,
+                definition: `Key idea number ${i + 1} about ${topic}. (Mock definition)`
+            }));
+        }
+        
+        return JSON.stringify({
+            title: topic ? `${topic} (mock)` : 'Notes (mock)',
+            cards: cards.slice(0, count)
+        });
+    }
+};
+
+export function createMockProvider({ model = 'mock-1' } = {}) {
+    function reply(options) {
+        const responder = responders[options.task] || responders.chat;
+        return responder(options);
+    }
+    
+    function usageFor(messages, text) {
+        const prompt_tokens = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+        const completion_tokens = estimateTokens(text);
+        return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+    }
+    
+    return {
+        name: 'mock',
+        model,
+        
+        isConfigured() {
+            return true;
+        },
+        
+        async complete(options) {
+            const text = reply(options);
+            return { text, usage: usageFor(options.messages, text), model };
+        },
+        
+        async *stream(options) {
+            const text = reply(options);
+            for (const word of text.match(/\S+\s*/g) || []) {
+                if (options.signal?.aborted) return;
+                yield { delta: word };
+            }
+            yield { usage: usageFor(options.messages, text) };
+        }
+    };
+}
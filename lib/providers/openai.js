@@ -0,0 +1,138 @@
+/**
+ * OpenAI Provider
+ * Talks to api.openai.com, or to any server that speaks the same chat
+ * completions API (Ollama, LM Studio, vLLM, llama.cpp) when given a baseURL.
+ */
+
+import OpenAI, { APIError, APIConnectionError, APIConnectionTimeoutError, APIUserAbortError } from 'openai';
+import { ApiError } from '../errors.js';
+
+/**
+ * Translate an OpenAI SDK error into an ApiError with a stable code
+ */
+function toUpstreamError(error) {
+    if (error instanceof ApiError || error instanceof APIUserAbortError) {
+        return error;
+    }
+    
+    if (error instanceof APIConnectionTimeoutError) {
+        return new ApiError(504, 'upstream_timeout', 'The AI service took too long to respond.');
+    }
+    
+    if (error instanceof APIConnectionError) {
+        return new ApiError(502, 'upstream_unavailable', 'The AI service could not be reached.');
+    }
+    
+    if (!(error instanceof APIError)) {
+        return error;
+    }
+    
+    const code = error.code || error.error?.code;
+    
+    if (error.status === 401 || error.status === 403) {
+        return new ApiError(502, 'upstream_auth_failed', 'The AI service rejected the server\'s API key.');
+    }
+    
+    if (error.status === 429) {
+        if (code === 'insufficient_quota') {
+            return new ApiError(503, 'upstream_quota_exceeded', 'The AI service account has run out of credit.');
+        }
+        const retryAfter = Number(error.headers?.get?.('retry-after')) || 20;
+        return new ApiError(503, 'upstream_rate_limited', 'The AI service is busy. Please try again shortly.', { retryAfter });
+    }
+    
+    if (code === 'context_length_exceeded') {
+        return new ApiError(413, 'context_length_exceeded', 'That is too much text for the model. Shorten the input or start a new conversation.');
+    }
+    
+    if (code === 'content_filter' || code === 'content_policy_violation') {
+        return new ApiError(422, 'content_filtered', 'The AI service declined to respond to that content.');
+    }
+    
+    if (error.status === 408) {
+        return new ApiError(504, 'upstream_timeout', 'The AI service took too long to respond.');
+    }
+    
+    return new ApiError(502, 'upstream_unavailable', 'The AI service returned an error.');
+}
+
+function filteredError() {
+    return new ApiError(422, 'content_filtered', 'The AI service declined to respond to that content.');
+}
+
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL, model, timeout }) {
+    let client = null;
+    
+    function getClient() {
+        if (!client) {
+            client = new OpenAI({ apiKey, baseURL, timeout });
+        }
+        return client;
+    }
+    
+    function toRequest({ messages, maxTokens, temperature, json }) {
+        return {
+            model,
+            messages,
+            max_tokens: maxTokens,
+            temperature,
+            ...(json ? { response_format: { type: 'json_object' } } : {})
+        };
+    }
+    
+    return {
+        name,
+        model,
+        
+        isConfigured() {
+            return Boolean(apiKey);
+        },
+        
+        async complete(options) {
+            let completion;
+            try {
+                completion = await getClient().chat.completions.create(toRequest(options));
+            } catch (error) {
+                throw toUpstreamError(error);
+            }
+            
+            if (completion.choices[0].finish_reason === 'content_filter') {
+                throw filteredError();
+            }
+            
+            return {
+                text: completion.choices[0].message.content,
+                usage: completion.usage,
+                model: completion.model || model
+            };
+        },
+        
+        async *stream(options) {
+            try {
+                const completionStream = await getClient().chat.completions.create(
+                    {
+                        ...toRequest(options),
+                        stream: true,
+                        stream_options: { include_usage: true }
+                    },
+                    { signal: options.signal }
+                );
+                
+                for await (const chunk of completionStream) {
+                    const choice = chunk.choices[0];
+                    if (choice?.finish_reason === 'content_filter') {
+                        throw filteredError();
+                    }
+                    if (choice?.delta?.content) {
+                        yield { delta: choice.delta.content };
+                    }
+                    if (chunk.usage) {
+                        yield { usage: chunk.usage };
+                    }
+                }
+            } catch (error) {
+                throw toUpstreamError(error);
+            }
+        }
+    };
+}
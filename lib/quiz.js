@@ -0,0 +1,192 @@
+/**
+ * Quiz Generation
+ * The server plans the quiz (which card, which question type) and the model
+ * chooses what only it can judge well: the most confusable distractors and
+ * natural short-answer prompts. Every model choice is checked against the
+ * set, and anything invalid is replaced locally, so a quiz is always returned.
+ */
+
+import { completeStructured } from './structured.js';
+import { shuffle } from './cards.js';
+import { renderPrompt } from './prompts/index.js';
+
+export const QUIZ_SCHEMA_VERSION = 1;
+export const QUESTION_TYPES = ['multiple_choice', 'true_false', 'short_answer'];
+const MAX_DISTRACTORS = 3;
+const OPTION_IDS = ['a', 'b', 'c', 'd'];
+
+/**
+ * Decide the question type and card for each question
+ */
+function planQuestions(cards, count, types) {
+    const order = shuffle(cards.map((card, index) => index));
+    const plan = [];
+    
+    for (let i = 0; i < count; i++) {
+        let type = types[i % types.length];
+        // Multiple choice and true/false need other cards to draw from
+        if (type !== 'short_answer' && cards.length < 2) {
+            type = 'short_answer';
+        }
+        plan.push({ id: `q${i + 1}`, type, cardIndex: order[i % order.length] });
+    }
+    
+    return plan;
+}
+
+/**
+ * Random other cards, used when the model's picks are unusable
+ */
+function randomOthers(cards, cardIndex, count) {
+    const others = cards.map((card, index) => index).filter(index => index !== cardIndex);
+    return shuffle(others).slice(0, count);
+}
+
+function isOtherCard(cards, cardIndex, value) {
+    return Number.isInteger(value) && value >= 0 && value < cards.length && value !== cardIndex;
+}
+
+/**
+ * Check the model's picks; returns a list of problems
+ */
+function validatePicks(plan, cards) {
+    return picks => {
+        const errors = [];
+        const byId = new Map((picks.items || []).map(item => [item.id, item]));
+        
+        plan.forEach(({ id, type, cardIndex }) => {
+            const item = byId.get(id);
+            if (!item) {
+                errors.push(`missing item ${id}`);
+            } else if (type === 'multiple_choice') {
+                const distractors = item.distractors;
+                if (!Array.isArray(distractors) || distractors.length === 0
+                    || !distractors.every(d => isOtherCard(cards, cardIndex, d))) {
+                    errors.push(`${id}.distractors must be indexes of other cards`);
+                }
+            } else if (type === 'true_false') {
+                if (!isOtherCard(cards, cardIndex, item.falseMatch)) {
+                    errors.push(`${id}.falseMatch must be the index of another card`);
+                }
+            } else if (typeof item.prompt !== 'string' || !item.prompt.trim()) {
+                errors.push(`${id}.prompt must be a non-empty string`);
+            }
+        });
+        
+        return errors;
+    };
+}
+
+/**
+ * Ask the model for its picks; falls back to {} (all local) if it cannot
+ * produce anything valid
+ */
+async function requestPicks(plan, cards) {
+    const cardList = cards.map((card, index) => `${index}. ${card.term}: ${card.definition}`).join('\n');
+    const planList = plan.map(({ id, type, cardIndex }) => `${id}: ${type} about card ${cardIndex}`).join('\n');
+    const prompt = renderPrompt('quiz', { cardList, planList, maxDistractors: MAX_DISTRACTORS });
+    
+    try {
+        const { value, completion } = await completeStructured(
+            {
+                task: 'quiz',
+                variables: { cards, plan },
+                promptVersion: prompt.id,
+                messages: prompt.messages,
+                maxTokens: 1500,
+                temperature: 0.4
+            },
+            { validate: validatePicks(plan, cards), retries: 1 }
+        );
+        return { picks: value, model: completion.model, promptVersion: prompt.id };
+    } catch (error) {
+        if (error.code !== 'invalid_output') throw error;
+        console.warn(`Quiz picks (${prompt.id}) failed validation, using local distractors:`, error.message);
+        return { picks: {}, model: null, promptVersion: prompt.id };
+    }
+}
+
+/**
+ * Turn a planned item plus the model's picks into a client-ready question
+ */
+function buildQuestion({ id, type, cardIndex }, item = {}, cards) {
+    const card = cards[cardIndex];
+    
+    if (type === 'multiple_choice') {
+        let distractors = Array.isArray(item.distractors)
+            ? [...new Set(item.distractors.filter(d => isOtherCard(cards, cardIndex, d)))]
+            : [];
+        const wanted = Math.min(MAX_DISTRACTORS, cards.length - 1);
+        if (distractors.length < wanted) {
+            const extra = randomOthers(cards, cardIndex, cards.length)
+                .filter(d => !distractors.includes(d));
+            distractors = [...distractors, ...extra];
+        }
+        distractors = distractors.slice(0, wanted);
+        
+        const options = shuffle([cardIndex, ...distractors]).map((index, i) => ({
+            id: OPTION_IDS[i],
+            text: cards[index].term,
+            cardIndex: index
+        }));
+        
+        return {
+            id,
+            type,
+            cardIndex,
+            prompt: `Which term matches this definition? "${card.definition}"`,
+            options: options.map(({ id: optionId, text }) => ({ id: optionId, text })),
+            answer: options.find(option => option.cardIndex === cardIndex).id
+        };
+    }
+    
+    if (type === 'true_false') {
+        const falseMatch = isOtherCard(cards, cardIndex, item.falseMatch)
+            ? item.falseMatch
+            : randomOthers(cards, cardIndex, 1)[0];
+        const isTrue = Math.random() < 0.5;
+        const shownDefinition = isTrue ? card.definition : cards[falseMatch].definition;
+        
+        return {
+            id,
+            type,
+            cardIndex,
+            prompt: `True or false: "${card.term}" means "${shownDefinition}"`,
+            answer: isTrue,
+            ...(isTrue ? {} : { correction: card.definition })
+        };
+    }
+    
+    const prompt = typeof item.prompt === 'string' && item.prompt.trim()
+        ? item.prompt.trim()
+        : `What term is defined as: "${card.definition}"?`;
+    const variants = Array.isArray(item.acceptableAnswers)
+        ? item.acceptableAnswers.filter(a => typeof a === 'string' && a.trim()).map(a => a.trim())
+        : [];
+    
+    return {
+        id,
+        type,
+        cardIndex,
+        prompt,
+        answer: card.term,
+        acceptableAnswers: [...new Set([card.term, ...variants])].slice(0, 4)
+    };
+}
+
+/**
+ * Generate a quiz
+ * Returns { schemaVersion, questions, model }
+ */
+export async function generateQuiz(cards, { count, types }) {
+    const plan = planQuestions(cards, count, types);
+    const { picks, model, promptVersion } = await requestPicks(plan, cards);
+    const byId = new Map((picks.items || []).map(item => [item.id, item]));
+    
+    return {
+        schemaVersion: QUIZ_SCHEMA_VERSION,
+        questions: plan.map(planned => buildQuestion(planned, byId.get(planned.id), cards)),
+        model,
+        promptVersion
+    };
+}
@@ -0,0 +1,165 @@
+/**
+ * Rate Limits and Daily Token Quotas
+ * Applied to every AI route (see http.js). Clients are identified by IP and,
+ * when the browser sends one, by X-Session-Id; each identity is limited
+ * separately and the strictest limit wins.
+ *
+ *   RATE_LIMIT_WINDOW_MS           window length (default 60000)
+ *   RATE_LIMIT_PER_IP              requests per window per IP (default 30)
+ *   RATE_LIMIT_PER_SESSION         requests per window per session (default 15)
+ *   DAILY_TOKEN_QUOTA_PER_IP       tokens per UTC day per IP (default 50000)
+ *   DAILY_TOKEN_QUOTA_PER_SESSION  tokens per UTC day per session (default 20000)
+ *   QUOTA_STORE                    memory | file (defaults to STORE_DRIVER)
+ *
+ * Set any limit to 0 to disable it.
+ *
+ * The quota is checked when a request arrives and again before every model
+ * call it makes, so one request cannot run far past the limit.
+ */
+
+import { createStore } from './stores/index.js';
+import { onCompletion, beforeCall } from './providers/index.js';
+import { getRequestContext } from './request-context.js';
+import { ApiError } from './errors.js';
+
+let store = null;
+
+function getStore() {
+    if (!store) {
+        store = createStore('quotas', process.env.QUOTA_STORE || undefined);
+    }
+    return store;
+}
+
+function readLimit(name, fallback) {
+    const value = process.env[name];
+    return value === undefined || value === '' ? fallback : Number(value);
+}
+
+function getConfig() {
+    return {
+        windowMs: readLimit('RATE_LIMIT_WINDOW_MS', 60000),
+        requests: {
+            ip: readLimit('RATE_LIMIT_PER_IP', 30),
+            session: readLimit('RATE_LIMIT_PER_SESSION', 15)
+        },
+        tokens: {
+            ip: readLimit('DAILY_TOKEN_QUOTA_PER_IP', 50000),
+            session: readLimit('DAILY_TOKEN_QUOTA_PER_SESSION', 20000)
+        }
+    };
+}
+
+/**
+ * The identities a request is limited under, e.g. [['ip', '1.2.3.4']]
+ */
+function identitiesFor({ ip, sessionId }) {
+    const identities = [['ip', ip]];
+    if (sessionId) identities.push(['session', sessionId]);
+    return identities;
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight() {
+    const now = new Date();
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+/**
+ * The quota_exceeded result for the first identity over its daily token
+ * quota, or null
+ */
+async function checkQuota(context, config) {
+    for (const [kind, id] of identitiesFor(context)) {
+        const tokenLimit = config.tokens[kind];
+        if (tokenLimit > 0) {
+            const quota = await getStore().get(`quota:${kind}:${id}`);
+            if (quota?.day === today() && quota.tokens >= tokenLimit) {
+                return {
+                    allowed: false,
+                    code: 'quota_exceeded',
+                    reason: `Daily AI usage limit reached for this ${kind}. It resets at midnight UTC.`,
+                    retryAfter: secondsUntilUtcMidnight()
+                };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Count one request against every identity's window and check quotas.
+ * Resolves to { allowed, code?, reason?, retryAfter?, limit?, remaining? }.
+ */
+export async function checkRateLimit(context) {
+    const config = getConfig();
+    const now = Date.now();
+    const result = { allowed: true };
+    
+    const exceeded = await checkQuota(context, config);
+    if (exceeded) return exceeded;
+    
+    for (const [kind, id] of identitiesFor(context)) {
+        // Fixed-window request limit
+        const requestLimit = config.requests[kind];
+        if (requestLimit > 0) {
+            const key = `rate:${kind}:${id}`;
+            let window = await getStore().get(key);
+            if (!window || now - window.windowStart >= config.windowMs) {
+                window = { key, windowStart: now, count: 0 };
+            }
+            
+            if (window.count >= requestLimit) {
+                return {
+                    allowed: false,
+                    code: 'rate_limited',
+                    reason: `Too many requests from this ${kind}. Please slow down.`,
+                    retryAfter: Math.ceil((window.windowStart + config.windowMs - now) / 1000)
+                };
+            }
+            
+            window.count++;
+            await getStore().set(key, window);
+            
+            if (kind === 'ip') {
+                result.limit = requestLimit;
+                result.remaining = requestLimit - window.count;
+            }
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Add tokens used by a finished call to the caller's daily quota
+ */
+async function recordTokens(context, tokens) {
+    const day = today();
+    
+    for (const [kind, id] of identitiesFor(context)) {
+        const key = `quota:${kind}:${id}`;
+        const quota = await getStore().get(key);
+        const used = quota?.day === day ? quota.tokens : 0;
+        await getStore().set(key, { key, day, tokens: used + tokens });
+    }
+}
+
+beforeCall(async () => {
+    const context = getRequestContext();
+    if (!context.ip) return;
+    const exceeded = await checkQuota(context, getConfig());
+    if (exceeded) {
+        throw new ApiError(429, exceeded.code, exceeded.reason, { retryAfter: exceeded.retryAfter });
+    }
+});
+
+onCompletion(({ usage }) => {
+    const context = getRequestContext();
+    if (!context.ip || !usage?.total_tokens) return;
+    return recordTokens(context, usage.total_tokens);
+});
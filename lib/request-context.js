@@ -0,0 +1,63 @@
+/**
+ * Request Context
+ * Carries who is calling (and through which route) across async calls, so
+ * code deep in the provider layer can attribute usage without threading
+ * `req` through every function.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Number of proxies in front of the app whose X-Forwarded-For entries can be
+ * trusted (TRUST_PROXY, default 0). Without one the header is ignored, since
+ * any client can set it.
+ */
+export function trustedProxyHops() {
+    return Math.max(Number(process.env.TRUST_PROXY) || 0, 0);
+}
+
+/**
+ * Client IP. Under Express this is req.ip, which follows the app's
+ * 'trust proxy' setting (see server.js); elsewhere the socket address, or
+ * the X-Forwarded-For entry added by the outermost trusted proxy.
+ */
+export function getClientIp(req) {
+    if (req.ip) return req.ip;
+    
+    const hops = trustedProxyHops();
+    const forwarded = req.headers?.['x-forwarded-for'];
+    if (hops > 0 && forwarded) {
+        const addresses = forwarded.split(',').map(address => address.trim());
+        return addresses[Math.max(addresses.length - hops, 0)];
+    }
+    return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Browser session id sent by the client in the X-Session-Id header
+ */
+export function getSessionId(req) {
+    const sessionId = req.headers?.['x-session-id'];
+    return typeof sessionId === 'string' && sessionId ? sessionId.slice(0, 100) : null;
+}
+
+/**
+ * Run `fn` with a context built from the request
+ */
+export function runWithRequestContext(route, req, fn) {
+    const context = {
+        route: route.path,
+        ip: getClientIp(req),
+        sessionId: getSessionId(req)
+    };
+    return storage.run(context, fn);
+}
+
+/**
+ * The context of the request being handled, or {} outside a request
+ */
+export function getRequestContext() {
+    return storage.getStore() || {};
+}
@@ -0,0 +1,60 @@
+/**
+ * Route Registry
+ * Every API endpoint is declared once here. server.js mounts the list on
+ * Express and each file in api/ wraps one entry for Vercel (see http.js).
+ *
+ * Route options:
+ *   path    - URL path, using Express-style :params
+ *   methods - allowed HTTP methods (OPTIONS is always answered)
+ *   ai      - true for endpoints that call the model (rate limited)
+ *   offline - true if an ai endpoint still works without a provider, so the
+ *             "not configured" check is skipped
+ *   handler - async (req, res) => void
+ */
+
+import health from './handlers/health.js';
+import chat from './handlers/chat.js';
+import generateDefinition from './handlers/generate-definition.js';
+import generateDefinitions from './handlers/generate-definitions.js';
+import { listConversations, conversationById } from './handlers/conversations.js';
+import generateQuiz from './handlers/generate-quiz.js';
+import generateSet from './handlers/generate-set.js';
+import gradeAnswer from './handlers/grade-answer.js';
+import categorize from './handlers/categorize.js';
+import generateTip from './handlers/generate-tip.js';
+import translateSet from './handlers/translate-set.js';
+import moderationStats from './handlers/moderation.js';
+import usageReport from './handlers/usage.js';
+import listPresets from './handlers/presets.js';
+import { sets, setById } from './handlers/sets.js';
+
+export const routes = [
+    { path: '/api/health', methods: ['GET'], handler: health },
+    { path: '/api/chat', methods: ['POST'], ai: true, handler: chat },
+    { path: '/api/presets', methods: ['GET'], handler: listPresets },
+    { path: '/api/generate-definition', methods: ['POST'], ai: true, handler: generateDefinition },
+    { path: '/api/generate-definitions', methods: ['POST'], ai: true, handler: generateDefinitions },
+    { path: '/api/generate-quiz', methods: ['POST'], ai: true, handler: generateQuiz },
+    { path: '/api/generate-set', methods: ['POST'], ai: true, handler: generateSet },
+    { path: '/api/grade-answer', methods: ['POST'], ai: true, offline: true, handler: gradeAnswer },
+    { path: '/api/categorize', methods: ['POST'], ai: true, handler: categorize },
+    { path: '/api/generate-tip', methods: ['POST'], ai: true, handler: generateTip },
+    { path: '/api/translate-set', methods: ['POST'], ai: true, handler: translateSet },
+    { path: '/api/conversations', methods: ['GET'], handler: listConversations },
+    { path: '/api/conversations/:id', methods: ['GET', 'DELETE'], handler: conversationById },
+    { path: '/api/sets', methods: ['GET', 'POST'], handler: sets },
+    { path: '/api/sets/:id', methods: ['GET', 'PUT', 'DELETE'], handler: setById },
+    { path: '/api/admin/moderation', methods: ['GET'], handler: moderationStats },
+    { path: '/api/usage', methods: ['GET'], handler: usageReport }
+];
+
+/**
+ * Look up a route by its path
+ */
+export function findRoute(path) {
+    const route = routes.find(r => r.path === path);
+    if (!route) {
+        throw new Error(`No route registered for ${path}`);
+    }
+    return route;
+}
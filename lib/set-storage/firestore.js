@@ -0,0 +1,87 @@
+/**
+ * Firestore Set Storage
+ * Reads and writes the flashcard_sets collection with the Firebase SDK.
+ * Configured from the same FIREBASE_* variables as firebase-config.js.
+ *
+ * Set FIRESTORE_EMULATOR_HOST (e.g. localhost:8080) to use the local
+ * emulator instead; FIREBASE_PROJECT_ID then defaults to demo-flashcards,
+ * and no API key is needed.
+ */
+
+import { initializeApp, getApps, getApp } from 'firebase/app';
+import {
+    getFirestore,
+    connectFirestoreEmulator,
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    setDoc,
+    deleteDoc
+} from 'firebase/firestore';
+import { FLASHCARD_SETS_COLLECTION, isAppSetDocument } from '../../flashcard-sets.js';
+
+const APP_NAME = 'set-storage';
+
+function connect() {
+    const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+    const projectId = process.env.FIREBASE_PROJECT_ID || (emulatorHost ? 'demo-flashcards' : undefined);
+    
+    if (!projectId) {
+        throw new Error('FIREBASE_PROJECT_ID (or FIRESTORE_EMULATOR_HOST) is required when SETS_STORE=firestore');
+    }
+    
+    // Reuse the app when an earlier attempt got past this point and failed later
+    const app = getApps().some(existing => existing.name === APP_NAME)
+        ? getApp(APP_NAME)
+        : initializeApp({
+            apiKey: process.env.FIREBASE_API_KEY || 'emulator',
+            authDomain: process.env.FIREBASE_AUTH_DOMAIN,
+            projectId,
+            appId: process.env.FIREBASE_APP_ID
+        }, APP_NAME);
+    const db = getFirestore(app);
+    
+    if (emulatorHost) {
+        const [host, port] = emulatorHost.split(':');
+        connectFirestoreEmulator(db, host, Number(port) || 8080);
+    }
+    
+    return db;
+}
+
+export function createFirestoreSetStorage() {
+    const db = connect();
+    const sets = collection(db, FLASHCARD_SETS_COLLECTION);
+    
+    return {
+        name: 'firestore',
+        
+        async list() {
+            const snapshot = await getDocs(sets);
+            // The collection is shared with older workshop documents; skip those
+            return snapshot.docs
+                .filter(entry => isAppSetDocument(entry.data()))
+                .map(entry => ({ id: entry.id, ...entry.data() }));
+        },
+        
+        async get(id) {
+            const snapshot = await getDoc(doc(sets, id));
+            return snapshot.exists() && isAppSetDocument(snapshot.data())
+                ? { id, ...snapshot.data() }
+                : null;
+        },
+        
+        async put(id, document) {
+            await setDoc(doc(sets, id), document);
+        },
+        
+        async delete(id) {
+            const ref = doc(sets, id);
+            const snapshot = await getDoc(ref);
+            if (!snapshot.exists()) return false;
+            await deleteDoc(ref);
+            return true;
+        }
+    };
+}
@@ -0,0 +1,67 @@
+/**
+ * Set Storage
+ * Where study sets live. Every backend stores flashcard_sets documents (see
+ * flashcard-sets.js) and exposes the same async interface:
+ *
+ *   name
+ *   list()              -> [document with id]
+ *   get(id)             -> document with id | null
+ *   put(id, document)   -> void (create or replace)
+ *   delete(id)          -> boolean (false if it did not exist)
+ *
+ * Choose one with SETS_STORE:
+ *   file       default, .data/flashcard_sets.json
+ *   memory     nothing touches disk
+ *   firestore  the flashcard_sets collection (see firestore.js for the
+ *              FIREBASE_* and FIRESTORE_EMULATOR_HOST variables)
+ *
+ * Vercel's filesystem is read-only outside /tmp, so there the default is
+ * firestore when FIREBASE_PROJECT_ID is set and memory otherwise, and `file`
+ * needs DATA_DIR=/tmp.
+ */
+
+import { createLocalSetStorage } from './local.js';
+
+let storage = null;
+
+function defaultStoreType() {
+    if (!process.env.VERCEL) return 'file';
+    if (process.env.FIREBASE_PROJECT_ID) return 'firestore';
+    
+    console.warn('SETS_STORE is not set on Vercel; sets are kept in memory and lost on cold starts. Set SETS_STORE=firestore to keep them.');
+    return 'memory';
+}
+
+async function createSetStorage() {
+    const type = process.env.SETS_STORE || defaultStoreType();
+    
+    switch (type) {
+        case 'file':
+            if (process.env.VERCEL && !process.env.DATA_DIR) {
+                throw new Error('SETS_STORE=file needs DATA_DIR=/tmp on Vercel, where the rest of the filesystem is read-only');
+            }
+            return createLocalSetStorage(type);
+        case 'memory':
+            return createLocalSetStorage(type);
+        case 'firestore': {
+            // Loaded on demand so the Firebase SDK is only initialised when used
+            const { createFirestoreSetStorage } = await import('./firestore.js');
+            return createFirestoreSetStorage();
+        }
+        default:
+            throw new Error(`Unknown SETS_STORE "${type}"`);
+    }
+}
+
+/**
+ * Get the configured set storage (created on first use)
+ */
+export async function getSetStorage() {
+    if (!storage) {
+        storage = createSetStorage().catch(error => {
+            storage = null;
+            throw error;
+        });
+    }
+    return storage;
+}
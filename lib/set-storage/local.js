@@ -0,0 +1,32 @@
+/**
+ * Local Set Storage
+ * Keeps flashcard_sets documents in a key/value store (see ../stores/):
+ * `file` writes .data/flashcard_sets.json, `memory` keeps nothing on disk.
+ */
+
+import { createStore } from '../stores/index.js';
+import { FLASHCARD_SETS_COLLECTION } from '../../flashcard-sets.js';
+
+export function createLocalSetStorage(driver) {
+    const store = createStore(FLASHCARD_SETS_COLLECTION, driver);
+    
+    return {
+        name: driver,
+        
+        async list() {
+            return store.list();
+        },
+        
+        async get(id) {
+            return store.get(id);
+        },
+        
+        async put(id, document) {
+            await store.set(id, { id, ...document });
+        },
+        
+        async delete(id) {
+            return store.delete(id);
+        }
+    };
+}
@@ -0,0 +1,248 @@
+/**
+ * Study Sets
+ * Server-side storage for sets and their cards, so a set survives switching
+ * devices. Sets are saved as flashcard_sets documents through the configured
+ * set storage (see set-storage/); by default that is a local file so sets
+ * outlive restarts with no external service (on Vercel, see set-storage/).
+ *
+ *   SETS_STORE  file (default) | memory | firestore
+ *
+ * A set is { id, title, cards, creator, createdAt, updatedAt }. Every card
+ * gets a stable `id` when it is first saved.
+ *
+ * Sets belong to whoever created them: the client sends a secret owner
+ * token, and only a hash of it is stored. Every function takes that token
+ * and treats other owners' sets as missing.
+ */
+
+import { randomUUID, createHash } from 'crypto';
+import { getSetStorage } from './set-storage/index.js';
+import { toSetDocument, fromSetDocument, DEFAULT_CREATOR } from '../flashcard-sets.js';
+import { parseCards } from './cards.js';
+import { ApiError } from './errors.js';
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_CREATOR_LENGTH = 60;
+// Sets are saved whole from the browser, so they allow far more cards than
+// the AI endpoints. Long cards can still make a set too big, so the saved
+// document is also capped, leaving headroom under Firestore's 1 MiB limit.
+const MAX_SET_CARDS = 1000;
+const MAX_SET_BYTES = 1000 * 1000;
+const MAX_EXTRA_LENGTH = 1000;
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const text = value => typeof value === 'string' ? value.slice(0, MAX_EXTRA_LENGTH) : undefined;
+const number = value => Number.isFinite(value) ? value : undefined;
+
+/**
+ * Copy the fields of `value` that parse; undefined when it is not an object
+ * or nothing is left
+ */
+function pick(value, fields) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) return undefined;
+    
+    const picked = {};
+    Object.entries(fields).forEach(([field, parse]) => {
+        const parsed = parse(value[field]);
+        if (parsed !== undefined) picked[field] = parsed;
+    });
+    return Object.keys(picked).length > 0 ? picked : undefined;
+}
+
+// Per-card data the client keeps alongside term and definition. Each parser
+// returns the cleaned value, or undefined to drop it.
+const CARD_EXTRAS = {
+    topic: text,
+    tip: value => pick(value, {
+        mnemonic: text,
+        memoryHook: text,
+        confusion: text,
+        confusedWith: text
+    }),
+    translation: value => pick(value, { language: text, term: text, definition: text }),
+    review: value => {
+        const review = pick(value, {
+            ease: number,
+            interval: number,
+            repetitions: number,
+            due: text,
+            lastRating: rating => text(rating) ?? number(rating),
+            reviewedAt: text
+        });
+        return review?.due ? review : undefined;
+    }
+};
+
+/**
+ * Stored form of an owner token
+ */
+function ownerId(ownerToken) {
+    return createHash('sha256').update(ownerToken).digest('hex');
+}
+
+async function loadSet(id) {
+    const storage = await getSetStorage();
+    const document = await storage.get(id);
+    return document ? fromSetDocument(id, document) : null;
+}
+
+/**
+ * Load a set if `ownerToken` owns it, else null. Throws invalid_request for
+ * a malformed id before it reaches storage.
+ */
+async function loadOwnedSet(id, ownerToken) {
+    const set = await loadSet(parseId(id));
+    return set && set.owner === ownerId(ownerToken) ? set : null;
+}
+
+/**
+ * A set as returned to clients (without its owner)
+ */
+function toPublicSet({ owner, ...set }) {
+    return set;
+}
+
+/**
+ * Store a set; throws invalid_request (413) when it is too big to save
+ */
+async function saveSet(set) {
+    const document = toSetDocument(set);
+    if (Buffer.byteLength(JSON.stringify(document)) > MAX_SET_BYTES) {
+        throw new ApiError(413, 'invalid_request', 'This set is too large to save. Try splitting it or shortening the longest cards.');
+    }
+    
+    const storage = await getSetStorage();
+    await storage.put(set.id, document);
+}
+
+/**
+ * Validate a title; throws invalid_request
+ */
+function parseTitle(title) {
+    const trimmed = typeof title === 'string' ? title.trim() : '';
+    if (!trimmed) {
+        throw new ApiError(400, 'invalid_request', 'Title is required');
+    }
+    if (trimmed.length > MAX_TITLE_LENGTH) {
+        throw new ApiError(400, 'invalid_request', `Title must be under ${MAX_TITLE_LENGTH} characters`);
+    }
+    return trimmed;
+}
+
+/**
+ * Validate a client-chosen set id; throws invalid_request
+ */
+function parseId(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+        throw new ApiError(400, 'invalid_request', 'Set id must be 1-64 letters, digits, "-" or "_"');
+    }
+    return id;
+}
+
+/**
+ * Optional display name of whoever made the set
+ */
+function parseCreator(creator) {
+    const trimmed = typeof creator === 'string' ? creator.trim() : '';
+    return trimmed.slice(0, MAX_CREATOR_LENGTH) || DEFAULT_CREATOR;
+}
+
+/**
+ * Validate cards, keep the known extras and give new cards an id
+ */
+function parseSetCards(rawCards) {
+    const cards = parseCards(rawCards, { min: 0, max: MAX_SET_CARDS });
+    
+    return cards.map((card, index) => {
+        const raw = rawCards[index];
+        const parsed = { id: card.id || randomUUID(), term: card.term, definition: card.definition };
+        
+        Object.entries(CARD_EXTRAS).forEach(([field, parse]) => {
+            const value = parse(raw[field]);
+            if (value !== undefined) parsed[field] = value;
+        });
+        
+        return parsed;
+    });
+}
+
+function summarize({ id, title, cards, createdAt, updatedAt }) {
+    return { id, title, cardCount: cards.length, createdAt, updatedAt };
+}
+
+/**
+ * Summaries of the caller's sets, most recently updated first
+ */
+export async function listSets(ownerToken) {
+    const owner = ownerId(ownerToken);
+    const storage = await getSetStorage();
+    const documents = await storage.list();
+    return documents
+        .map(document => fromSetDocument(document.id, document))
+        .filter(set => set.owner === owner)
+        .map(summarize)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Fetch one of the caller's sets, or null if there is none with that id
+ */
+export async function getSet(id, ownerToken) {
+    const set = await loadOwnedSet(id, ownerToken);
+    return set && toPublicSet(set);
+}
+
+/**
+ * Create a set from { title, cards, creator?, id? }. Clients that keep sets
+ * offline pass their own id so the set has the same id everywhere; throws
+ * conflict if it is taken.
+ */
+export async function createSet({ id, title, cards = [], creator }, ownerToken) {
+    const setId = id === undefined ? randomUUID() : parseId(id);
+    if (id !== undefined && await loadSet(setId)) {
+        throw new ApiError(409, 'conflict', 'A set with that id already exists');
+    }
+    
+    const now = new Date().toISOString();
+    const set = {
+        id: setId,
+        title: parseTitle(title),
+        cards: parseSetCards(cards),
+        creator: parseCreator(creator),
+        owner: ownerId(ownerToken),
+        createdAt: now,
+        updatedAt: now
+    };
+    await saveSet(set);
+    return toPublicSet(set);
+}
+
+/**
+ * Update one of the caller's sets; resolves to null if there is none with
+ * that id. `cards` replaces the whole card list.
+ */
+export async function updateSet(id, { title, cards }, ownerToken) {
+    const set = await loadOwnedSet(id, ownerToken);
+    if (!set) return null;
+    
+    if (title !== undefined) {
+        set.title = parseTitle(title);
+    }
+    if (cards !== undefined) {
+        set.cards = parseSetCards(cards);
+    }
+    set.updatedAt = new Date().toISOString();
+    
+    await saveSet(set);
+    return toPublicSet(set);
+}
+
+/**
+ * Delete one of the caller's sets; resolves to false if there is none with that id
+ */
+export async function deleteSet(id, ownerToken) {
+    if (!await loadOwnedSet(id, ownerToken)) return false;
+    
+    const storage = await getSetStorage();
+    return storage.delete(id);
+}
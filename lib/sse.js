@@ -0,0 +1,36 @@
+/**
+ * Server-Sent Events
+ * Minimal event stream writer that works on both Express and Vercel responses
+ */
+
+/**
+ * Whether the client asked for a streamed response
+ */
+export function wantsStream(req) {
+    if (req.body?.stream === true) return true;
+    const accept = req.headers?.accept || '';
+    return accept.includes('text/event-stream');
+}
+
+/**
+ * Start an event stream on `res`
+ * Returns { send(event, data), close() }
+ */
+export function openEventStream(res) {
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    // Stop proxies (nginx, Vercel edge) from buffering the stream
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders?.();
+    
+    return {
+        send(event, data) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        close() {
+            res.end();
+        }
+    };
+}
@@ -0,0 +1,67 @@
+/**
+ * File-backed key/value store
+ * Keeps one JSON file per store name in the data directory. Writes are
+ * queued so concurrent requests never interleave partial files. Records are
+ * held in a Map, so keys like `constructor` or `__proto__` are plain keys.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getDataDir } from './index.js';
+
+export function createFileStore(name) {
+    const filePath = path.join(getDataDir(), `${name}.json`);
+    let records = null;
+    let writeQueue = Promise.resolve();
+    
+    async function load() {
+        if (records) return records;
+        try {
+            records = new Map(Object.entries(JSON.parse(await fs.readFile(filePath, 'utf8'))));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Could not read ${filePath}, starting empty:`, error.message);
+            }
+            records = new Map();
+        }
+        return records;
+    }
+    
+    function persist() {
+        const snapshot = JSON.stringify(Object.fromEntries(records), null, 2);
+        // A failed write must not block the ones queued after it
+        writeQueue = writeQueue.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            await fs.writeFile(tmpPath, snapshot);
+            await fs.rename(tmpPath, filePath);
+        });
+        return writeQueue;
+    }
+    
+    return {
+        async get(key) {
+            const data = await load();
+            return data.has(key) ? structuredClone(data.get(key)) : null;
+        },
+        
+        async set(key, value) {
+            const data = await load();
+            data.set(key, structuredClone(value));
+            await persist();
+            return value;
+        },
+        
+        async delete(key) {
+            const data = await load();
+            if (!data.delete(key)) return false;
+            await persist();
+            return true;
+        },
+        
+        async list() {
+            const data = await load();
+            return [...data.values()].map(value => structuredClone(value));
+        }
+    };
+}
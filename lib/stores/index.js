@@ -0,0 +1,38 @@
+/**
+ * Pluggable Stores
+ * Every store exposes the same async interface:
+ *   get(key), set(key, value), delete(key), list()
+ *
+ * Drivers:
+ *   memory - default, nothing touches disk
+ *   file   - JSON files under DATA_DIR (defaults to .data/ in the project)
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMemoryStore } from './memory-store.js';
+import { createFileStore } from './file-store.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Directory used by file-backed stores
+ */
+export function getDataDir() {
+    return process.env.DATA_DIR || path.join(__dirname, '..', '..', '.data');
+}
+
+/**
+ * Create a named store
+ * `driver` falls back to STORE_DRIVER, then 'memory'.
+ */
+export function createStore(name, driver = process.env.STORE_DRIVER || 'memory') {
+    switch (driver) {
+        case 'memory':
+            return createMemoryStore();
+        case 'file':
+            return createFileStore(name);
+        default:
+            throw new Error(`Unknown store driver "${driver}" for ${name}`);
+    }
+}
@@ -0,0 +1,27 @@
+/**
+ * In-memory key/value store
+ * Data lives for the lifetime of the process (or warm serverless instance).
+ */
+
+export function createMemoryStore() {
+    const records = new Map();
+    
+    return {
+        async get(key) {
+            return records.has(key) ? structuredClone(records.get(key)) : null;
+        },
+        
+        async set(key, value) {
+            records.set(key, structuredClone(value));
+            return value;
+        },
+        
+        async delete(key) {
+            return records.delete(key);
+        },
+        
+        async list() {
+            return [...records.values()].map(value => structuredClone(value));
+        }
+    };
+}
@@ -0,0 +1,101 @@
+/**
+ * Structured Output
+ * Ask the model for JSON, validate it, and retry with the validation errors
+ * when the reply does not fit. Every JSON-producing endpoint goes through here.
+ */
+
+import { getProvider } from './providers/index.js';
+
+/**
+ * Pull a JSON value out of a model reply, tolerating ```json fences and
+ * chatter around the object
+ */
+export function parseJsonReply(text) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidate = fenced ? fenced[1] : text;
+    
+    try {
+        return JSON.parse(candidate);
+    } catch {
+        const start = candidate.search(/[[{]/);
+        const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+        if (start === -1 || end <= start) throw new Error('Reply contained no JSON');
+        return JSON.parse(candidate.slice(start, end + 1));
+    }
+}
+
+/**
+ * Run a completion that must produce JSON matching a schema
+ *
+ * options   - provider options (task, messages, maxTokens, ...)
+ * normalize - (raw) => value; coerce harmless differences (case, whitespace)
+ * validate  - (value) => string[] of problems, empty when valid
+ * repair    - optional (value, errors) => value | null; last-resort fix
+ *             applied when retries are exhausted
+ * retries   - extra attempts after the first (default 2)
+ *
+ * Resolves to { value, completion, attempts, repaired }. Throws an error with
+ * code 'invalid_output' when nothing valid could be produced.
+ */
+export async function completeStructured(options, { normalize = v => v, validate, repair, retries = 2 }) {
+    let messages = options.messages;
+    let errors = [];
+    let value = null;
+    
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+        const completion = await getProvider().complete({ ...options, messages, json: true });
+        
+        try {
+            value = normalize(parseJsonReply(completion.text));
+            errors = validate(value);
+        } catch (error) {
+            value = null;
+            errors = [`Reply was not valid JSON (${error.message})`];
+        }
+        
+        if (errors.length === 0) {
+            return { value, completion, attempts: attempt, repaired: false };
+        }
+        
+        if (attempt === retries + 1 && value && repair) {
+            const repaired = repair(value, errors);
+            if (repaired && validate(repaired).length === 0) {
+                return { value: repaired, completion, attempts: attempt, repaired: true };
+            }
+        }
+        
+        // Show the model its own reply and what was wrong with it
+        messages = [
+            ...options.messages,
+            { role: 'assistant', content: completion.text },
+            { role: 'user', content: `That reply was invalid: ${errors.join('; ')}. Reply again with corrected JSON only.` }
+        ];
+    }
+    
+    const error = new Error(`Model output failed validation: ${errors.join('; ')}`);
+    error.code = 'invalid_output';
+    error.validationErrors = errors;
+    throw error;
+}
+
+/**
+ * Count words in a string
+ */
+export function countWords(text) {
+    return (text || '').trim().split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Shorten text to at most `limit` words, preferring to end on a full sentence
+ */
+export function truncateWords(text, limit) {
+    const words = text.trim().split(/\s+/);
+    if (words.length <= limit) return text.trim();
+    
+    const clipped = words.slice(0, limit).join(' ');
+    const lastStop = Math.max(clipped.lastIndexOf('. '), clipped.lastIndexOf('! '), clipped.lastIndexOf('? '));
+    if (lastStop > clipped.length / 2) {
+        return clipped.slice(0, lastStop + 1);
+    }
+    return clipped.replace(/[,;:]$/, '') + '…';
+}
@@ -0,0 +1,116 @@
+/**
+ * Study Set Generation
+ * Builds term/definition pairs from a topic or from pasted notes.
+ */
+
+import { completeStructured, countWords, truncateWords } from './structured.js';
+import { DEFINITION_WORD_LIMIT } from './definitions.js';
+import { renderPrompt } from './prompts/index.js';
+
+const MAX_TERM_WORDS = 8;
+
+function normalizeSet(raw) {
+    const cards = Array.isArray(raw.cards) ? raw.cards : [];
+    return {
+        title: typeof raw.title === 'string' ? raw.title.trim() : '',
+        cards: cards.map(card => ({
+            term: typeof card?.term === 'string' ? card.term.trim() : '',
+            definition: typeof card?.definition === 'string' ? card.definition.trim() : ''
+        }))
+    };
+}
+
+function validateSet(count) {
+    return set => {
+        const errors = [];
+        
+        if (set.cards.length === 0) {
+            errors.push('"cards" must contain at least one card');
+        }
+        if (set.cards.length > count) {
+            errors.push(`"cards" must contain at most ${count} cards`);
+        }
+        
+        const seen = new Set();
+        set.cards.forEach((card, index) => {
+            if (!card.term || !card.definition) {
+                errors.push(`card ${index} needs a term and a definition`);
+            } else if (countWords(card.definition) > DEFINITION_WORD_LIMIT) {
+                errors.push(`card ${index} definition must be under ${DEFINITION_WORD_LIMIT} words`);
+            }
+            if (countWords(card.term) > MAX_TERM_WORDS) {
+                errors.push(`card ${index} term must be under ${MAX_TERM_WORDS} words`);
+            }
+            const key = card.term.toLowerCase();
+            if (seen.has(key)) {
+                errors.push(`card ${index} repeats the term "${card.term}"`);
+            }
+            seen.add(key);
+        });
+        
+        return errors;
+    };
+}
+
+/**
+ * Keep whatever is usable once retries run out: drop broken and duplicate
+ * cards, enforce limits by truncating
+ */
+function repairSet(count) {
+    return set => {
+        const seen = new Set();
+        const cards = set.cards
+            .filter(card => card.term && card.definition)
+            .map(card => ({
+                term: truncateWords(card.term, MAX_TERM_WORDS),
+                definition: truncateWords(card.definition, DEFINITION_WORD_LIMIT)
+            }))
+            .filter(card => {
+                const key = card.term.toLowerCase();
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, count);
+        return cards.length > 0 ? { ...set, cards } : null;
+    };
+}
+
+/**
+ * Generate a study set
+ * Returns { title, cards: [{ term, definition }], model }
+ */
+export async function generateStudySet({ topic, notes, count }) {
+    const material = notes
+        ? `Create flashcards from these notes${topic ? ` about ${topic}` : ''}:\n\n${notes}`
+        : `Create flashcards about: ${topic}`;
+    const prompt = renderPrompt('study-set', {
+        material,
+        count,
+        maxTermWords: MAX_TERM_WORDS,
+        definitionWordLimit: DEFINITION_WORD_LIMIT
+    });
+    
+    const { value, completion } = await completeStructured(
+        {
+            task: 'study-set',
+            variables: { topic, notes, count },
+            promptVersion: prompt.id,
+            messages: prompt.messages,
+            maxTokens: Math.min(150 + count * 90, 4000),
+            temperature: 0.5
+        },
+        {
+            normalize: normalizeSet,
+            validate: validateSet(count),
+            repair: repairSet(count)
+        }
+    );
+    
+    return {
+        title: value.title || topic || 'Generated Set',
+        cards: value.cards,
+        model: completion.model,
+        promptVersion: prompt.id
+    };
+}
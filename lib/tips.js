@@ -0,0 +1,73 @@
+/**
+ * Study Tips
+ * A mnemonic, a memory hook and a common-confusion warning for one card.
+ */
+
+import { completeStructured, countWords, truncateWords } from './structured.js';
+import { renderPrompt } from './prompts/index.js';
+
+const TIP_WORD_LIMIT = 40;
+const TIP_FIELDS = ['mnemonic', 'memoryHook', 'confusion'];
+
+function normalizeTip(raw) {
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    return {
+        mnemonic: text(raw.mnemonic),
+        memoryHook: text(raw.memoryHook ?? raw.memory_hook),
+        confusion: text(raw.confusion),
+        confusedWith: text(raw.confusedWith) || null
+    };
+}
+
+function validateTip(tip) {
+    const errors = [];
+    TIP_FIELDS.forEach(field => {
+        if (!tip[field]) {
+            errors.push(`"${field}" must be a non-empty string`);
+        } else if (countWords(tip[field]) > TIP_WORD_LIMIT) {
+            errors.push(`"${field}" must be under ${TIP_WORD_LIMIT} words`);
+        }
+    });
+    return errors;
+}
+
+function repairTip(tip) {
+    if (!TIP_FIELDS.every(field => tip[field])) return null;
+    return {
+        ...tip,
+        mnemonic: truncateWords(tip.mnemonic, TIP_WORD_LIMIT),
+        memoryHook: truncateWords(tip.memoryHook, TIP_WORD_LIMIT),
+        confusion: truncateWords(tip.confusion, TIP_WORD_LIMIT)
+    };
+}
+
+/**
+ * Generate tips for a card
+ * `relatedTerms` are other terms from the set, used for the confusion warning.
+ * Returns { mnemonic, memoryHook, confusion, confusedWith, model, promptVersion }
+ */
+export async function generateTip(card, { relatedTerms = [] } = {}) {
+    const related = relatedTerms.length > 0
+        ? `\nOther terms in the set: ${relatedTerms.join(', ')}`
+        : '';
+    const prompt = renderPrompt('tip', {
+        term: card.term,
+        definition: card.definition,
+        related,
+        tipWordLimit: TIP_WORD_LIMIT
+    });
+    
+    const { value, completion } = await completeStructured(
+        {
+            task: 'tip',
+            variables: { card, relatedTerms },
+            promptVersion: prompt.id,
+            messages: prompt.messages,
+            maxTokens: 300,
+            temperature: 0.7
+        },
+        { normalize: normalizeTip, validate: validateTip, repair: repairTip }
+    );
+    
+    return { ...value, model: completion.model, promptVersion: prompt.id };
+}
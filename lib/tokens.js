@@ -0,0 +1,12 @@
+/**
+ * Token Estimates
+ * Rough counts used for budgeting when the provider has not reported usage.
+ */
+
+/**
+ * Estimate tokens in a string (~4 characters per token for English text,
+ * plus a few for message framing)
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4) + 4;
+}
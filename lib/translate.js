@@ -0,0 +1,109 @@
+/**
+ * Set Translation
+ * Translates a set's terms, definitions or both into another language.
+ * Large sets are sent in chunks so each reply stays small.
+ */
+
+import { completeStructured } from './structured.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { renderPrompt } from './prompts/index.js';
+
+export const TRANSLATE_FIELDS = ['definitions', 'terms', 'both'];
+const CHUNK_SIZE = 25;
+const CHUNK_CONCURRENCY = 2;
+
+const FIELD_INSTRUCTIONS = {
+    definitions: 'the "definition" of each card (leave "term" unchanged)',
+    terms: 'the "term" of each card (leave "definition" unchanged)',
+    both: 'both the "term" and the "definition" of each card'
+};
+
+const TECHNICAL_TERMS_INSTRUCTION = '\nKeep technical terms, product names and code in their original form; translate the surrounding words only.';
+
+function normalizeChunk(raw) {
+    const cards = Array.isArray(raw.cards) ? raw.cards : [];
+    return cards.map(card => ({
+        index: Number(card?.index),
+        term: typeof card?.term === 'string' ? card.term.trim() : '',
+        definition: typeof card?.definition === 'string' ? card.definition.trim() : ''
+    }));
+}
+
+function validateChunk(chunk) {
+    return translated => {
+        const errors = [];
+        const byIndex = new Map(translated.map(card => [card.index, card]));
+        
+        chunk.forEach(({ index }) => {
+            const card = byIndex.get(index);
+            if (!card) {
+                errors.push(`card ${index} is missing`);
+            } else if (!card.term || !card.definition) {
+                errors.push(`card ${index} needs a term and a definition`);
+            }
+        });
+        if (translated.length !== chunk.length) {
+            errors.push(`expected ${chunk.length} cards, got ${translated.length}`);
+        }
+        
+        return errors;
+    };
+}
+
+async function translateChunk(chunk, options) {
+    const list = chunk.map(({ index, card }) => ({ index, term: card.term, definition: card.definition }));
+    const prompt = renderPrompt('translate', {
+        language: options.language,
+        fieldsInstruction: FIELD_INSTRUCTIONS[options.fields],
+        technicalTermsInstruction: options.keepTechnicalTerms ? TECHNICAL_TERMS_INSTRUCTION : '',
+        cardsJson: JSON.stringify({ cards: list })
+    });
+    
+    const { value, completion } = await completeStructured(
+        {
+            task: 'translate',
+            variables: { ...options, cards: list },
+            promptVersion: prompt.id,
+            messages: prompt.messages,
+            maxTokens: Math.min(200 + chunk.length * 120, 4000),
+            temperature: 0.2
+        },
+        { normalize: normalizeChunk, validate: validateChunk(chunk) }
+    );
+    
+    return { cards: value, model: completion.model, promptVersion: prompt.id };
+}
+
+/**
+ * Translate a set
+ * Untranslated fields are copied from the source, so `fields: 'definitions'`
+ * never alters a term. Card `id`s are kept.
+ * Returns { language, fields, cards, model, promptVersion }
+ */
+export async function translateSet(cards, { language, fields = 'definitions', keepTechnicalTerms = false }) {
+    const indexed = cards.map((card, index) => ({ index, card }));
+    const chunks = [];
+    for (let start = 0; start < indexed.length; start += CHUNK_SIZE) {
+        chunks.push(indexed.slice(start, start + CHUNK_SIZE));
+    }
+    
+    const options = { language, fields, keepTechnicalTerms };
+    const results = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, chunk => translateChunk(chunk, options));
+    
+    const translated = new Map(results.flatMap(result => result.cards).map(card => [card.index, card]));
+    
+    return {
+        language,
+        fields,
+        cards: cards.map((card, index) => {
+            const { term, definition } = translated.get(index);
+            return {
+                ...card,
+                term: fields === 'definitions' ? card.term : term,
+                definition: fields === 'terms' ? card.definition : definition
+            };
+        }),
+        model: results[0].model,
+        promptVersion: results[0].promptVersion
+    };
+}
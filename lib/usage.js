@@ -0,0 +1,216 @@
+/**
+ * Usage Accounting
+ * Records every model call (see onCompletion in providers/index.js) with
+ * the endpoint, model, prompt version, token counts, estimated cost, latency
+ * and client, and
+ * aggregates the records for the usage report. Records are buffered and
+ * written in batches, so a busy server does not rewrite the store per call.
+ *
+ *   USAGE_STORE            memory | file (defaults to STORE_DRIVER)
+ *   USAGE_RETENTION_DAYS   how long records are kept (default 30)
+ *   USAGE_LOG              set to 1 to log one line per call to the console
+ *   LLM_PRICE_INPUT_PER_1M / LLM_PRICE_OUTPUT_PER_1M
+ *                          USD per million tokens, overriding the built-in
+ *                          prices (needed for models not listed below)
+ */
+
+import { randomUUID } from 'crypto';
+import { createStore } from './stores/index.js';
+import { onCompletion } from './providers/index.js';
+import { getRequestContext } from './request-context.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FLUSH_DELAY_MS = 1000;
+
+// USD per million tokens; looked up by longest matching model-name prefix
+const PRICES = {
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4-turbo': { input: 10, output: 30 }
+};
+
+let store = null;
+let lastPruneDay = null;
+let pending = [];
+let flushTimer = null;
+let flushing = Promise.resolve();
+
+function getStore() {
+    if (!store) {
+        store = createStore('usage', process.env.USAGE_STORE || undefined);
+    }
+    return store;
+}
+
+function retentionDays() {
+    return Number(process.env.USAGE_RETENTION_DAYS) || 30;
+}
+
+/**
+ * Price per million tokens for a model, or null when unknown
+ */
+function priceFor(model) {
+    const input = process.env.LLM_PRICE_INPUT_PER_1M;
+    const output = process.env.LLM_PRICE_OUTPUT_PER_1M;
+    if (input !== undefined || output !== undefined) {
+        return { input: Number(input) || 0, output: Number(output) || 0 };
+    }
+    
+    const match = Object.keys(PRICES)
+        .filter(prefix => model?.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+    return match ? PRICES[match] : null;
+}
+
+/**
+ * Estimated USD cost of a call (0 for models without a known price)
+ */
+export function estimateCost(model, promptTokens, completionTokens) {
+    const price = priceFor(model);
+    if (!price) return 0;
+    const cost = (promptTokens * price.input + completionTokens * price.output) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+async function pruneOldRecords() {
+    const day = new Date().toISOString().slice(0, 10);
+    if (lastPruneDay === day) return;
+    lastPruneDay = day;
+    
+    const cutoff = new Date(Date.now() - retentionDays() * DAY_MS).toISOString();
+    const records = await getStore().list();
+    for (const record of records) {
+        if (record.at < cutoff) {
+            await getStore().delete(record.key);
+        }
+    }
+}
+
+/**
+ * Write the buffered records, then prune old ones. Resolves once everything
+ * recorded so far is in the store.
+ */
+export function flushUsage() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    
+    const batch = pending;
+    pending = [];
+    
+    // A failed batch must not block the ones queued after it
+    flushing = flushing.catch(() => {}).then(async () => {
+        for (const record of batch) {
+            await getStore().set(record.key, record);
+        }
+        await pruneOldRecords();
+    });
+    return flushing;
+}
+
+function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+        flushUsage().catch(error => console.error('Could not save usage records:', error));
+    }, FLUSH_DELAY_MS);
+    // Never keep the process alive just to flush
+    flushTimer.unref?.();
+}
+
+/**
+ * Buffer one usage record (written by the next flush)
+ */
+export function recordUsage({ task, model, usage, latencyMs, promptVersion }) {
+    const { route, ip, sessionId } = getRequestContext();
+    const promptTokens = usage?.prompt_tokens || 0;
+    const completionTokens = usage?.completion_tokens || 0;
+    
+    const record = {
+        key: `usage:${randomUUID()}`,
+        at: new Date().toISOString(),
+        endpoint: route || 'unknown',
+        task: task || null,
+        promptVersion: promptVersion || null,
+        model,
+        promptTokens,
+        completionTokens,
+        totalTokens: usage?.total_tokens || promptTokens + completionTokens,
+        costUsd: estimateCost(model, promptTokens, completionTokens),
+        latencyMs,
+        clientId: sessionId || ip || 'unknown'
+    };
+    
+    pending.push(record);
+    scheduleFlush();
+    
+    if (process.env.USAGE_LOG === '1') {
+        console.log(`AI usage: ${record.endpoint} ${model} [${record.promptVersion || 'no template'}] ${record.totalTokens} tokens $${record.costUsd} ${latencyMs}ms`);
+    }
+    return record;
+}
+
+function emptyTotals() {
+    return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, latencyMs: 0 };
+}
+
+function addRecord(totals, record) {
+    totals.calls++;
+    totals.promptTokens += record.promptTokens;
+    totals.completionTokens += record.completionTokens;
+    totals.totalTokens += record.totalTokens;
+    totals.costUsd += record.costUsd;
+    totals.latencyMs += record.latencyMs;
+}
+
+/**
+ * Turn summed latency into an average and round the cost
+ */
+function finishTotals({ latencyMs, ...totals }) {
+    return {
+        ...totals,
+        costUsd: Math.round(totals.costUsd * 1e6) / 1e6,
+        avgLatencyMs: totals.calls > 0 ? Math.round(latencyMs / totals.calls) : 0
+    };
+}
+
+function groupBy(records, keyOf, label) {
+    const groups = new Map();
+    records.forEach(record => {
+        const key = keyOf(record);
+        if (!groups.has(key)) groups.set(key, emptyTotals());
+        addRecord(groups.get(key), record);
+    });
+    return [...groups.entries()].map(([key, totals]) => ({ [label]: key, ...finishTotals(totals) }));
+}
+
+/**
+ * Aggregate the last `days` UTC days of records
+ * Returns { days, totals, byDay, byEndpoint, byClient }; byDay is oldest
+ * first, the others are sorted by tokens used
+ */
+export async function getUsageReport({ days = 7 } = {}) {
+    await flushUsage();
+    
+    const since = new Date(Date.now() - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+    const records = (await getStore().list())
+        .filter(record => record.key?.startsWith('usage:') && record.at >= since);
+    
+    const totals = emptyTotals();
+    records.forEach(record => addRecord(totals, record));
+    
+    const byTokens = (a, b) => b.totalTokens - a.totalTokens;
+    
+    return {
+        days,
+        totals: finishTotals(totals),
+        byDay: groupBy(records, record => record.at.slice(0, 10), 'day')
+            .sort((a, b) => a.day.localeCompare(b.day)),
+        byEndpoint: groupBy(records, record => record.endpoint, 'endpoint').sort(byTokens),
+        byClient: groupBy(records, record => record.clientId, 'client').sort(byTokens)
+    };
+}
+
+onCompletion(record => recordUsage(record));
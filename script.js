@@ -43,6 +43,19 @@ const state = {
     currentIndex: 0,
     isFlipped: false,
     starredCards: new Set(),
+    generatedCards: [],
+    translation: null,
+    reviewQueue: [],
+    studyMode: 'flashcards',
+    learn: null,
+    test: null,
+    match: null,
+    collapsedTopics: new Set(),
+    setTitle: 'Design System Components',
+    setId: null,
+    library: null,
+    positions: {},
+    setsApiAvailable: null,
     designVariant: 'option-a'
 };
 
@@ -63,12 +76,31 @@ const elements = {
     menuBtn: document.querySelector('.menu-btn'),
     debugModalOverlay: document.getElementById('debug-modal-overlay'),
     debugModalClose: document.getElementById('debug-modal-close'),
+    debugUsageStatus: document.getElementById('debug-usage-status'),
+    debugUsageTotals: document.getElementById('debug-usage-totals'),
+    debugUsageEndpoints: document.getElementById('debug-usage-endpoints'),
     // Import modal elements
     importModalOverlay: document.getElementById('import-modal-overlay'),
     importCloseBtn: document.getElementById('import-close-btn'),
     importTitleInput: document.getElementById('import-title'),
     importTextarea: document.getElementById('import-textarea'),
     importSubmitBtn: document.getElementById('import-submit-btn'),
+    // Generate-from-notes step of the import modal
+    generateTopicInput: document.getElementById('generate-topic'),
+    generateNotesTextarea: document.getElementById('generate-notes'),
+    generateCountInput: document.getElementById('generate-count'),
+    generateSubmitBtn: document.getElementById('generate-submit-btn'),
+    generatePreview: document.getElementById('generate-preview'),
+    generateReplaceBtn: document.getElementById('generate-replace-btn'),
+    generateAppendBtn: document.getElementById('generate-append-btn'),
+    // Translate step of the import modal
+    translateLanguageInput: document.getElementById('translate-language'),
+    translateFieldsSelect: document.getElementById('translate-fields'),
+    translateKeepTermsCheckbox: document.getElementById('translate-keep-terms'),
+    translateSubmitBtn: document.getElementById('translate-submit-btn'),
+    translatePreview: document.getElementById('translate-preview'),
+    translateNewSetBtn: document.getElementById('translate-new-set-btn'),
+    translateSideBtn: document.getElementById('translate-side-btn'),
     variantSelector: document.getElementById('variant-selector'),
     // Page elements
     setTitle: document.querySelector('.sidebar .set-title'),
@@ -85,10 +117,18 @@ const elements = {
 function init() {
     loadDesignVariant();
     loadSavedState();
+    loadLibrary();
+    refreshReviewQueue();
+    if (state.reviewQueue.length > 0 && !state.reviewQueue.includes(state.currentIndex)) {
+        state.currentIndex = state.reviewQueue[0];
+    }
     updateCard(false);
     attachEventListeners();
+    setStudyMode(state.studyMode);
     initPanelResize();
     updateTopicsList(flashcards);
+    renderSetSwitcher();
+    loadSetFromServer();
 }
 
 /**
@@ -97,10 +137,17 @@ function init() {
 function updateCard(autoExpand = true) {
     const card = flashcards[state.currentIndex];
     
+    // Remember the position in this set
+    saveState();
+    
     if (!elements.cardFront || !elements.cardBack) return;
     
     elements.cardFront.textContent = card.term;
     elements.cardBack.textContent = card.definition;
+    if (card.translation) {
+        renderTranslationSide(elements.cardBack, card.translation);
+    }
+    renderTipAffordance(elements.cardBack, card);
     
     updateStarButton();
     
@@ -111,12 +158,15 @@ function updateCard(autoExpand = true) {
     
     animateCardChange();
     updateActiveTocItem(autoExpand);
+    updateReviewStatus();
 }
 
 /**
- * Navigate to the previous card
+ * Navigate to the previous card (within the due queue while cards are due)
  */
 function prevCard() {
+    if (stepReviewQueue(-1)) return;
+    
     if (state.currentIndex > 0) {
         state.currentIndex--;
     } else {
@@ -126,9 +176,11 @@ function prevCard() {
 }
 
 /**
- * Navigate to the next card
+ * Navigate to the next card (within the due queue while cards are due)
  */
 function nextCard() {
+    if (stepReviewQueue(1)) return;
+    
     if (state.currentIndex < flashcards.length - 1) {
         state.currentIndex++;
     } else {
@@ -143,22 +195,25 @@ function nextCard() {
 function flipCard() {
     elements.flashcard?.classList.toggle('flipped');
     state.isFlipped = !state.isFlipped;
+    updateReviewStatus();
 }
 
 /**
  * Toggle star/favorite on current card
  */
 function toggleStar() {
-    const index = state.currentIndex;
+    const id = flashcards[state.currentIndex]?.id;
+    if (!id) return;
     
-    if (state.starredCards.has(index)) {
-        state.starredCards.delete(index);
+    if (state.starredCards.has(id)) {
+        state.starredCards.delete(id);
     } else {
-        state.starredCards.add(index);
+        state.starredCards.add(id);
     }
     
     updateStarButton();
-    saveState();
+    storeActiveSet();
+    saveLibrary();
 }
 
 /**
@@ -168,7 +223,7 @@ function updateStarButton() {
     if (!elements.starBtn) return;
     
     const icon = elements.starBtn.querySelector('.material-symbols-rounded');
-    if (state.starredCards.has(state.currentIndex)) {
+    if (state.starredCards.has(flashcards[state.currentIndex]?.id)) {
         elements.starBtn.classList.add('starred');
         if (icon) icon.classList.add('filled');
     } else {
@@ -194,6 +249,10 @@ function handleKeydown(event) {
     if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') {
         return;
     }
+    // The other study modes handle their own keys
+    if (state.studyMode !== 'flashcards') {
+        return;
+    }
     
     switch(event.key) {
         case 'ArrowLeft':
@@ -207,6 +266,15 @@ function handleKeydown(event) {
             event.preventDefault();
             flipCard();
             break;
+        case '1':
+        case '2':
+        case '3':
+        case '4':
+            // Grade recall once the answer is showing
+            if (state.isFlipped) {
+                rateCard(REVIEW_RATINGS[Number(event.key) - 1]);
+            }
+            break;
     }
 }
 
@@ -214,10 +282,7 @@ function handleKeydown(event) {
  * Handle tab clicks
  */
 function handleTabClick(event) {
-    const clickedTab = event.currentTarget;
-    
-    elements.tabButtons.forEach(tab => tab.classList.remove('active'));
-    clickedTab.classList.add('active');
+    setStudyMode(tabMode(event.currentTarget));
 }
 
 // ============================================
@@ -262,6 +327,29 @@ function loadDesignVariant() {
 // Topics List / Sidebar
 // ============================================
 
+/**
+ * Group card indexes by their saved `topic`, in order of first appearance.
+ * Cards without a topic are listed under "All Terms" (or "Uncategorized"
+ * once other topics exist).
+ */
+function groupCardsByTopic(cards) {
+    const groups = new Map();
+    
+    cards.forEach((card, index) => {
+        const name = card.topic || '';
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(index);
+    });
+    
+    const hasTopics = [...groups.keys()].some(name => name);
+    return [...groups.entries()]
+        .sort(([a], [b]) => (a ? 0 : 1) - (b ? 0 : 1))
+        .map(([name, indexes]) => ({
+            name: name || (hasTopics ? 'Uncategorized' : 'All Terms'),
+            indexes
+        }));
+}
+
 /**
  * Update topics list in sidebar
  */
@@ -271,45 +359,116 @@ function updateTopicsList(cards) {
     
     container.innerHTML = '';
     
-    const section = document.createElement('div');
-    section.className = 'topic-section';
-    
-    const header = document.createElement('div');
-    header.className = 'topic-header';
-    header.innerHTML = `
-        <span class="topic-title">All Terms</span>
-        <span class="topic-count">${cards.length}</span>
+    const toolbar = document.createElement('div');
+    toolbar.className = 'topics-toolbar';
+    toolbar.innerHTML = `
+        <button class="topics-group-btn">
+            <span class="material-symbols-rounded">auto_awesome</span>
+            <span class="topics-group-label"></span>
+        </button>
     `;
+    const groupBtn = toolbar.querySelector('.topics-group-btn');
+    toolbar.querySelector('.topics-group-label').textContent =
+        cards.some(card => card.topic) ? 'Regroup by topic' : 'Group by topic';
+    groupBtn.disabled = cards.length < 2;
+    groupBtn.addEventListener('click', categorizeCurrentSet);
+    container.appendChild(toolbar);
     
-    const list = document.createElement('div');
-    list.className = 'topic-terms';
-    
-    cards.forEach((card, index) => {
-        const item = document.createElement('div');
-        item.className = 'term-item';
-        item.setAttribute('data-index', index);
-        item.innerHTML = `
-            <span class="term-text">${card.term}</span>
-            <span class="term-definition">${card.definition}</span>
+    groupCardsByTopic(cards).forEach(group => {
+        const section = document.createElement('div');
+        section.className = 'topic-section';
+        section.classList.toggle('collapsed', state.collapsedTopics.has(group.name));
+        
+        const header = document.createElement('button');
+        header.className = 'topic-header';
+        header.setAttribute('aria-expanded', String(!state.collapsedTopics.has(group.name)));
+        header.innerHTML = `
+            <span class="material-symbols-rounded topic-chevron">expand_more</span>
+            <span class="topic-title"></span>
+            <span class="topic-count">${group.indexes.length}</span>
         `;
-        item.addEventListener('click', () => {
-            state.currentIndex = index;
-            updateCard();
+        header.querySelector('.topic-title').textContent = group.name;
+        header.addEventListener('click', () => {
+            const collapsed = section.classList.toggle('collapsed');
+            header.setAttribute('aria-expanded', String(!collapsed));
+            if (collapsed) {
+                state.collapsedTopics.add(group.name);
+            } else {
+                state.collapsedTopics.delete(group.name);
+            }
         });
-        list.appendChild(item);
+        
+        const list = document.createElement('div');
+        list.className = 'topic-terms';
+        
+        group.indexes.forEach(index => {
+            const card = cards[index];
+            const item = document.createElement('div');
+            item.className = 'term-item';
+            item.setAttribute('data-index', index);
+            item.innerHTML = `
+                <span class="term-text"></span>
+                <span class="term-definition"></span>
+            `;
+            item.querySelector('.term-text').textContent = card.term;
+            item.querySelector('.term-definition').textContent = card.definition;
+            item.addEventListener('click', () => {
+                state.currentIndex = index;
+                updateCard();
+            });
+            list.appendChild(item);
+        });
+        
+        section.appendChild(header);
+        section.appendChild(list);
+        container.appendChild(section);
     });
     
-    section.appendChild(header);
-    section.appendChild(list);
-    container.appendChild(section);
+    updateActiveTocItem(false);
+}
+
+/**
+ * Ask the API to cluster the set into topics and save the grouping on the
+ * cards, so it travels with the set instead of being regenerated
+ */
+async function categorizeCurrentSet() {
+    const groupBtn = document.querySelector('.topics-group-btn');
+    if (groupBtn) groupBtn.disabled = true;
+    
+    try {
+        const { topics } = await apiRequest('/api/categorize', {
+            method: 'POST',
+            body: { cards: flashcards.map(({ term, definition }) => ({ term, definition })) }
+        });
+        
+        topics.forEach(topic => {
+            topic.cardIndexes.forEach(index => {
+                if (flashcards[index]) flashcards[index].topic = topic.name;
+            });
+        });
+        state.collapsedTopics.clear();
+        
+        updateTopicsList(flashcards);
+        saveContent();
+    } catch (error) {
+        alert(describeApiError(error));
+        if (groupBtn) groupBtn.disabled = false;
+    }
 }
 
 /**
  * Update active TOC item
  */
 function updateActiveTocItem(autoExpand = true) {
-    document.querySelectorAll('.term-item').forEach((item, index) => {
-        item.classList.toggle('active', index === state.currentIndex);
+    document.querySelectorAll('.term-item').forEach(item => {
+        const isActive = Number(item.dataset.index) === state.currentIndex;
+        item.classList.toggle('active', isActive);
+        
+        // Open the topic holding the current card
+        const section = item.closest('.topic-section');
+        if (isActive && autoExpand && section?.classList.contains('collapsed')) {
+            section.querySelector('.topic-header')?.click();
+        }
     });
 }
 
@@ -331,13 +490,15 @@ function updatePanelTermsList() {
         item.className = 'panel-term-item';
     item.innerHTML = `
             <div class="panel-term-content">
-                <span class="panel-term-text">${card.term}</span>
-                <span class="panel-term-definition">${card.definition}</span>
+                <span class="panel-term-text"></span>
+                <span class="panel-term-definition"></span>
             </div>
             <button class="panel-term-star" data-index="${index}">
                 <span class="material-symbols-rounded">star</span>
             </button>
         `;
+        item.querySelector('.panel-term-text').textContent = card.term;
+        item.querySelector('.panel-term-definition').textContent = card.definition;
         
         item.querySelector('.panel-term-content').addEventListener('click', () => {
             state.currentIndex = index;
@@ -354,7 +515,7 @@ function updatePanelTermsList() {
 function updatePanelTitle() {
     const titleEl = document.getElementById('panel-set-title');
     if (titleEl) {
-        titleEl.textContent = 'Design System Components';
+        titleEl.textContent = state.setTitle;
     }
 }
 
@@ -402,8 +563,9 @@ function updateJourneyView() {
     const item = document.createElement('div');
         item.className = 'journey-term-item';
     item.innerHTML = `
-            <span class="journey-term-text">${card.term}</span>
+            <span class="journey-term-text"></span>
                 `;
+        item.querySelector('.journey-term-text').textContent = card.term;
                 item.addEventListener('click', () => {
             state.currentIndex = index;
             updateCard();
@@ -434,222 +596,2332 @@ function initTableView() {
                 <span class="custom-checkbox"></span>
             </label>
             <div class="table-term-content">
-                <span class="table-term-text">${card.term}</span>
-                <span class="table-term-definition">${card.definition}</span>
+                <span class="table-term-text"></span>
+                <span class="table-term-definition"></span>
             </div>
             <button class="table-term-star" data-index="${index}">
                 <span class="material-symbols-rounded">star</span>
             </button>
         `;
+        row.querySelector('.table-term-text').textContent = card.term;
+        row.querySelector('.table-term-definition').textContent = card.definition;
+        renderTipAffordance(row.querySelector('.table-term-content'), card);
         container.appendChild(row);
     });
 }
 
 // ============================================
-// Modal Functions
+// Usage Report (Debug Menu)
 // ============================================
 
 /**
- * Open debug modal
+ * Fetch AI usage totals for the debug menu. When the server has an
+ * ADMIN_TOKEN, store it in localStorage under `adminToken`.
  */
-function openDebugModal() {
-    elements.debugModalOverlay?.classList.add('active');
+async function loadUsageReport() {
+    const status = elements.debugUsageStatus;
+    if (!status) return;
+    
+    status.textContent = 'Loading...';
+    status.classList.remove('hidden');
+    
+    try {
+        const adminToken = localStorage.getItem('adminToken');
+        const report = await apiRequest('/api/usage?days=7', {
+            headers: adminToken ? { Authorization: `Bearer ${adminToken}` } : {}
+        });
+        renderUsageReport(report);
+        status.classList.toggle('hidden', report.totals.calls > 0);
+        status.textContent = 'No AI calls yet.';
+    } catch (error) {
+        status.textContent = describeApiError(error);
+    }
 }
 
 /**
- * Close debug modal
+ * Show report totals and the per-endpoint breakdown
  */
-function closeDebugModal() {
-    elements.debugModalOverlay?.classList.remove('active');
+function renderUsageReport(report) {
+    const { totals, byEndpoint } = report;
+    const formatCost = cost => `$${cost.toFixed(4)}`;
+    
+    if (elements.debugUsageTotals) {
+        elements.debugUsageTotals.innerHTML = '';
+        [
+            ['Calls', totals.calls.toLocaleString()],
+            ['Prompt tokens', totals.promptTokens.toLocaleString()],
+            ['Completion tokens', totals.completionTokens.toLocaleString()],
+            ['Estimated cost', formatCost(totals.costUsd)],
+            ['Average latency', `${totals.avgLatencyMs} ms`]
+        ].forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            const detail = document.createElement('dd');
+            term.textContent = label;
+            detail.textContent = value;
+            elements.debugUsageTotals.append(term, detail);
+        });
+    }
+    
+    const table = elements.debugUsageEndpoints;
+    if (table) {
+        const body = table.querySelector('tbody');
+        body.innerHTML = '';
+        byEndpoint.forEach(row => {
+            const tr = document.createElement('tr');
+            [row.endpoint, row.calls.toLocaleString(), row.totalTokens.toLocaleString(), formatCost(row.costUsd)]
+                .forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    tr.appendChild(cell);
+                });
+            body.appendChild(tr);
+        });
+        table.classList.toggle('hidden', byEndpoint.length === 0);
+    }
 }
 
-/**
- * Open import modal
- */
-function openImportModal() {
-    elements.importModalOverlay?.classList.add('active');
-}
+// ============================================
+// Study Tips
+// ============================================
+
+const pendingTips = new WeakMap();
 
 /**
- * Close import modal
+ * Fetch a card's tip once and keep it on the card, so it is saved with the set
  */
-function closeImportModal() {
-    elements.importModalOverlay?.classList.remove('active');
+function loadCardTip(card) {
+    if (card.tip) return Promise.resolve(card.tip);
+    if (pendingTips.has(card)) return pendingTips.get(card);
+    
+    const request = apiRequest('/api/generate-tip', {
+        method: 'POST',
+        body: {
+            card: { term: card.term, definition: card.definition },
+            relatedTerms: flashcards.map(other => other.term)
+        }
+    }).then(({ mnemonic, memoryHook, confusion, confusedWith }) => {
+        card.tip = { mnemonic, memoryHook, confusion, confusedWith };
+        saveContent();
+        return card.tip;
+    }).finally(() => {
+        pendingTips.delete(card);
+    });
+    
+    pendingTips.set(card, request);
+    return request;
 }
 
 /**
- * Import flashcards from text
+ * Add a "Tip" button to `container` that lazily loads and toggles the card's tip
  */
-function importFlashcards() {
-    const title = elements.importTitleInput?.value || 'Untitled Set';
-    const text = elements.importTextarea?.value || '';
+function renderTipAffordance(container, card) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'tip-affordance';
+    wrapper.innerHTML = `
+        <button class="tip-btn" aria-expanded="false">
+            <span class="material-symbols-rounded">lightbulb</span>
+            <span class="tip-btn-label">Tip</span>
+        </button>
+        <div class="card-tip hidden"></div>
+    `;
     
-    if (!text.trim()) {
-        alert('Please enter some flashcard content');
-        return;
-    }
+    const button = wrapper.querySelector('.tip-btn');
+    const label = wrapper.querySelector('.tip-btn-label');
+    const panel = wrapper.querySelector('.card-tip');
     
-    // Parse the text (tab or comma separated)
-    const lines = text.split(/[\n;]+/).filter(line => line.trim());
-    const newCards = [];
+    // Keep the flashcard from flipping when the tip is used
+    wrapper.addEventListener('click', event => event.stopPropagation());
     
-    lines.forEach(line => {
-        const parts = line.split(/[\t,]/).map(p => p.trim());
-        if (parts.length >= 2) {
-            newCards.push({
-                term: parts[0],
-                definition: parts[1]
-            });
+    button.addEventListener('click', async () => {
+        if (!panel.classList.contains('hidden')) {
+            panel.classList.add('hidden');
+            button.setAttribute('aria-expanded', 'false');
+            return;
         }
-    });
-    
-    if (newCards.length > 0) {
-        flashcards.length = 0;
-        flashcards.push(...newCards);
-    state.currentIndex = 0;
         
-        // Update all views
-        updateCard(false);
-        updateTopicsList(flashcards);
+        button.disabled = true;
+        label.textContent = card.tip ? 'Tip' : 'Loading...';
         
-    if (document.body.classList.contains('option-b') || document.body.classList.contains('option-e')) {
-        updatePanelTermsList();
-    }
-    if (document.body.classList.contains('option-c')) {
-        updateJourneyView();
-    }
-    if (document.body.classList.contains('option-d')) {
-        initTableView();
-    }
+        try {
+            renderTip(panel, await loadCardTip(card));
+            panel.classList.remove('hidden');
+            button.setAttribute('aria-expanded', 'true');
+        } catch (error) {
+            alert(describeApiError(error));
+        } finally {
+            button.disabled = false;
+            label.textContent = 'Tip';
+        }
+    });
     
-        // Save and close
-        saveContent(title, flashcards);
-        closeImportModal();
-    }
+    container.appendChild(wrapper);
+}
+
+/**
+ * Fill a tip panel with the mnemonic, memory hook and confusion warning
+ */
+function renderTip(panel, tip) {
+    panel.innerHTML = '';
+    
+    [
+        ['Mnemonic', tip.mnemonic],
+        ['Memory hook', tip.memoryHook],
+        [tip.confusedWith ? `Don't confuse with ${tip.confusedWith}` : 'Common confusion', tip.confusion]
+    ].forEach(([heading, text]) => {
+        const item = document.createElement('div');
+        item.className = 'card-tip-item';
+        item.innerHTML = '<span class="card-tip-heading"></span><span class="card-tip-text"></span>';
+        item.querySelector('.card-tip-heading').textContent = heading;
+        item.querySelector('.card-tip-text').textContent = text;
+        panel.appendChild(item);
+    });
 }
 
 // ============================================
-// State Persistence
+// Spaced Repetition
 // ============================================
 
 /**
- * Save state to localStorage
+ * SM-2 scheduling. Each card carries `review`:
+ *   { ease, interval, repetitions, due: 'YYYY-MM-DD', lastRating, reviewedAt }
+ * Cards without one are new and due straight away.
  */
-function saveState() {
-    localStorage.setItem('flashcardState', JSON.stringify({
-        currentIndex: state.currentIndex,
-        starredCards: [...state.starredCards]
-    }));
+const REVIEW_RATINGS = ['again', 'hard', 'good', 'easy'];
+const RATING_QUALITY = { again: 1, hard: 3, good: 4, easy: 5 };
+const RATING_LABELS = { again: 'Again', hard: 'Hard', good: 'Good', easy: 'Easy' };
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+/**
+ * Local calendar day as YYYY-MM-DD, so "due today" follows the user's midnight
+ */
+function toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
 }
 
 /**
- * Load saved state from localStorage
+ * Next review state after rating a card (SM-2)
  */
-function loadSavedState() {
-    const saved = localStorage.getItem('flashcardState');
-    if (saved) {
-        try {
-            const data = JSON.parse(saved);
-            state.currentIndex = data.currentIndex || 0;
-            state.starredCards = new Set(data.starredCards || []);
-        } catch (e) {
-            console.error('Error loading saved state:', e);
+function scheduleReview(review, rating, now = new Date()) {
+    const quality = RATING_QUALITY[rating];
+    let { ease = DEFAULT_EASE, interval = 0, repetitions = 0 } = review || {};
+    
+    if (quality < 3) {
+        // Forgotten: start over and see it again today
+        repetitions = 0;
+        interval = 0;
+    } else {
+        repetitions++;
+        if (repetitions === 1) {
+            interval = 1;
+        } else if (repetitions === 2) {
+            interval = 6;
+        } else {
+            interval = Math.round(interval * ease);
         }
     }
+    
+    ease = Math.max(MIN_EASE, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    
+    const due = new Date(now);
+    due.setDate(due.getDate() + interval);
+    
+    return {
+        ease: Math.round(ease * 100) / 100,
+        interval,
+        repetitions,
+        due: toDateKey(due),
+        lastRating: rating,
+        reviewedAt: now.toISOString()
+    };
+}
+
+function isDue(card, today = toDateKey(new Date())) {
+    return !card.review || card.review.due <= today;
 }
 
 /**
- * Save content to localStorage
+ * Indexes of the cards due today: overdue reviews first, then new cards
  */
-function saveContent(title, cards) {
-    localStorage.setItem('flashcardContent', JSON.stringify({
-        title,
-        flashcards: cards,
-        savedAt: new Date().toISOString()
-    }));
+function buildReviewQueue(cards) {
+    const today = toDateKey(new Date());
+    
+    return cards
+        .map((card, index) => ({ card, index }))
+        .filter(({ card }) => isDue(card, today))
+        .sort((a, b) => {
+            if (!a.card.review || !b.card.review) return (a.card.review ? 0 : 1) - (b.card.review ? 0 : 1);
+            return a.card.review.due.localeCompare(b.card.review.due);
+        })
+        .map(({ index }) => index);
 }
 
-// ============================================
-// Event Listeners
-// ============================================
+/**
+ * Rebuild the due queue, e.g. after the set changes
+ */
+function refreshReviewQueue() {
+    state.reviewQueue = buildReviewQueue(flashcards);
+    updateReviewStatus();
+}
 
-function attachEventListeners() {
-    // Navigation
-    elements.prevBtn?.addEventListener('click', prevCard);
-    elements.nextBtn?.addEventListener('click', nextCard);
+/**
+ * Move through the due queue; returns false when nothing is due
+ */
+function stepReviewQueue(step) {
+    const queue = state.reviewQueue;
+    if (queue.length === 0) return false;
     
-    // Flashcard flip
-    elements.flashcard?.addEventListener('click', flipCard);
+    const position = queue.indexOf(state.currentIndex);
+    const next = position === -1 ? 0 : (position + step + queue.length) % queue.length;
+    state.currentIndex = queue[next];
+    updateCard();
+    return true;
+}
+
+/**
+ * Record a recall rating for the current card and show the next due card
+ */
+function rateCard(rating) {
+    const card = flashcards[state.currentIndex];
+    if (!card || !RATING_QUALITY[rating]) return;
     
-    // Star button
-    elements.starBtn?.addEventListener('click', (event) => {
-        event.stopPropagation();
-        toggleStar();
-    });
+    card.review = scheduleReview(card.review, rating);
     
-    // Tab navigation
-    elements.tabButtons?.forEach(btn => {
-        btn.addEventListener('click', handleTabClick);
-    });
+    const queue = state.reviewQueue;
+    const position = queue.indexOf(state.currentIndex);
+    if (position !== -1) queue.splice(position, 1);
+    if (rating === 'again') queue.push(state.currentIndex);
     
-    // Keyboard
-    document.addEventListener('keydown', handleKeydown);
+    saveContent();
     
-    // Debug modal
-    elements.menuBtn?.addEventListener('click', openDebugModal);
-    elements.debugModalClose?.addEventListener('click', closeDebugModal);
-    elements.debugModalOverlay?.addEventListener('click', (event) => {
-        if (event.target === elements.debugModalOverlay) {
-            closeDebugModal();
-        }
-    });
+    if (queue.length > 0) {
+        state.currentIndex = queue[Math.max(position, 0) % queue.length];
+    }
+    updateCard();
+}
 
-    // Import modal
-    elements.importCloseBtn?.addEventListener('click', closeImportModal);
-    elements.importModalOverlay?.addEventListener('click', (event) => {
-        if (event.target === elements.importModalOverlay) {
-            closeImportModal();
-        }
-    });
-    elements.importSubmitBtn?.addEventListener('click', importFlashcards);
+/**
+ * Short label for an interval, e.g. "today", "1d", "3w"
+ */
+function formatInterval(days) {
+    if (days < 1) return 'today';
+    if (days < 14) return `${days}d`;
+    if (days < 60) return `${Math.round(days / 7)}w`;
+    return `${Math.round(days / 30)}mo`;
+}
+
+/**
+ * Show the due count and the rating buttons under the flashcard
+ */
+function updateReviewStatus() {
+    if (!elements.flashcard) return;
     
-    // Variant selector
-    elements.variantSelector?.querySelectorAll('.variant-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            setDesignVariant(btn.dataset.variant);
+    let controls = document.getElementById('review-controls');
+    if (!controls) {
+        controls = document.createElement('div');
+        controls.id = 'review-controls';
+        controls.className = 'review-controls';
+        controls.innerHTML = `
+            <p class="review-status" aria-live="polite"></p>
+            <div class="review-ratings">
+                ${REVIEW_RATINGS.map((rating, i) => `
+                    <button class="review-rating-btn ${rating}" data-rating="${rating}" title="${RATING_LABELS[rating]} (${i + 1})">
+                        <span class="review-rating-label">${RATING_LABELS[rating]}</span>
+                        <span class="review-rating-interval"></span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+        controls.addEventListener('click', event => {
+            const button = event.target.closest('[data-rating]');
+            if (button) rateCard(button.dataset.rating);
         });
-    });
+        elements.flashcard.insertAdjacentElement('afterend', controls);
+    }
     
-    // Close modals with Escape
-    document.addEventListener('keydown', (event) => {
-        if (event.key === 'Escape') {
-            if (elements.debugModalOverlay?.classList.contains('active')) {
-                closeDebugModal();
-            } else if (elements.importModalOverlay?.classList.contains('active')) {
-                closeImportModal();
-            }
-        }
-    });
+    const dueCount = state.reviewQueue.length;
+    const status = controls.querySelector('.review-status');
+    if (dueCount > 0) {
+        status.textContent = `${dueCount} card${dueCount !== 1 ? 's' : ''} due today`;
+    } else {
+        const upcoming = flashcards.map(card => card.review?.due).filter(Boolean).sort()[0];
+        status.textContent = upcoming ? `All caught up! Next review ${upcoming}.` : 'All caught up!';
+    }
     
-    // Import modal navigation
-    const importOpenBtn = document.getElementById('import-open-btn');
-    const importBackBtn = document.getElementById('import-back-btn');
-    const modalStepMain = document.getElementById('modal-step-main');
-    const modalStepImport = document.getElementById('modal-step-import');
-    const headerMain = document.getElementById('header-main');
-    const headerImport = document.getElementById('header-import');
+    // Ratings only make sense once the answer has been seen
+    const ratings = controls.querySelector('.review-ratings');
+    ratings.classList.toggle('hidden', !state.isFlipped);
     
-    importOpenBtn?.addEventListener('click', () => {
-        modalStepMain?.classList.add('hidden');
-        modalStepImport?.classList.remove('hidden');
-        headerMain?.classList.add('hidden');
-        headerImport?.classList.remove('hidden');
+    const card = flashcards[state.currentIndex];
+    ratings.querySelectorAll('[data-rating]').forEach(button => {
+        const { interval } = scheduleReview(card?.review, button.dataset.rating);
+        button.querySelector('.review-rating-interval').textContent = formatInterval(interval);
     });
-    
-    importBackBtn?.addEventListener('click', () => {
-        modalStepImport?.classList.add('hidden');
-        modalStepMain?.classList.remove('hidden');
-        headerImport?.classList.add('hidden');
+}
+
+// ============================================
+// Study Modes
+// ============================================
+
+/**
+ * The tabs switch between these views. Each mode keeps its own session in
+ * `state` (state.learn, state.test, state.match) so progress survives
+ * switching away; the sessions are reset when the set itself changes.
+ */
+const STUDY_MODES = ['flashcards', 'learn', 'test', 'match'];
+
+/**
+ * Mode a tab button opens: its data-mode, or its label
+ */
+function tabMode(tab) {
+    return tab.dataset.mode || tab.textContent.trim().toLowerCase();
+}
+
+/**
+ * Container for a mode's view, created next to the flashcard when the page
+ * doesn't provide one
+ */
+function getModeView(mode) {
+    let view = document.querySelector(`.study-mode-view[data-mode="${mode}"]`);
+    if (view) return view;
+    
+    if (mode === 'flashcards') {
+        view = elements.flashcard?.parentElement;
+        if (!view) return null;
+        view.classList.add('study-mode-view');
+        view.dataset.mode = 'flashcards';
+        return view;
+    }
+    
+    view = document.createElement('section');
+    view.className = 'study-mode-view hidden';
+    view.dataset.mode = mode;
+    
+    const flashcardsView = getModeView('flashcards');
+    if (flashcardsView) {
+        flashcardsView.insertAdjacentElement('afterend', view);
+    } else {
+        (document.querySelector('.main-content') || document.body).appendChild(view);
+    }
+    return view;
+}
+
+/**
+ * Show a study mode and mark its tab active
+ */
+function setStudyMode(mode) {
+    if (!STUDY_MODES.includes(mode)) return;
+    
+    if (state.studyMode === 'match' && mode !== 'match') {
+        pauseMatch();
+    }
+    state.studyMode = mode;
+    
+    elements.tabButtons.forEach(tab => {
+        const isActive = tabMode(tab) === mode;
+        tab.classList.toggle('active', isActive);
+        tab.setAttribute('aria-selected', String(isActive));
+    });
+    STUDY_MODES.forEach(name => {
+        getModeView(name)?.classList.toggle('hidden', name !== mode);
+    });
+    
+    renderStudyMode();
+    saveState();
+}
+
+/**
+ * Draw the current mode from its saved session
+ */
+function renderStudyMode() {
+    const view = getModeView(state.studyMode);
+    
+    switch (state.studyMode) {
+        case 'learn':
+            renderLearnMode(view);
+            break;
+        case 'test':
+            renderTestMode(view);
+            break;
+        case 'match':
+            renderMatchMode(view);
+            break;
+        default:
+            updateCard(false);
+    }
+}
+
+/**
+ * Drop every mode's session, e.g. after the cards change
+ */
+function resetStudyModes() {
+    pauseMatch();
+    state.learn = null;
+    state.test = null;
+    state.match = null;
+    
+    if (state.studyMode !== 'flashcards') {
+        renderStudyMode();
+    }
+}
+
+/**
+ * Shuffled copy of an array
+ */
+function shuffle(items) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+/**
+ * Compare typed answers ignoring case, accents, punctuation and spacing
+ */
+function normalizeAnswer(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function isCorrectAnswer(expected, answer) {
+    return normalizeAnswer(answer) !== '' && normalizeAnswer(expected) === normalizeAnswer(answer);
+}
+
+let fuzzyGraderPromise = null;
+
+/**
+ * The server's fuzzy matcher (lib/fuzzy-grade.js), loaded on first use
+ */
+function loadFuzzyGrader() {
+    fuzzyGraderPromise ??= import('./lib/fuzzy-grade.js').catch(error => {
+        fuzzyGraderPromise = null;
+        throw error;
+    });
+    return fuzzyGraderPromise;
+}
+
+/**
+ * Grade a typed term in the browser: an exact match, or close enough for
+ * the fuzzy matcher (typos, missing accents)
+ */
+async function gradeWrittenLocally(card, answer) {
+    if (isCorrectAnswer(card.term, answer)) return true;
+    if (!answer.trim()) return false;
+    
+    try {
+        const { fuzzyGrade } = await loadFuzzyGrader();
+        return fuzzyGrade(card.term, answer).verdict === 'correct';
+    } catch (error) {
+        console.warn('Could not load the fuzzy grader:', error);
+        return false;
+    }
+}
+
+/**
+ * Grade a typed term. With `useAi`, answers the local check rejects go on
+ * to /api/grade-answer, which also accepts rewording; if that request fails
+ * (offline, rate limited) the local verdict stands.
+ */
+async function gradeWrittenAnswer(card, answer, { useAi = false } = {}) {
+    const local = await gradeWrittenLocally(card, answer);
+    if (local || !useAi || !answer.trim()) return local;
+    
+    try {
+        const result = await apiRequest('/api/grade-answer', {
+            method: 'POST',
+            body: { card: { term: card.term, definition: card.definition }, answer, direction: 'term' }
+        });
+        return result.verdict === 'correct';
+    } catch (error) {
+        console.warn('Could not grade the answer on the server:', error);
+        return local;
+    }
+}
+
+// ============================================
+// Learn Mode
+// ============================================
+
+/**
+ * Each card is asked as multiple choice (term -> definition) until answered
+ * correctly, then written (definition -> term) until mastered. Missed cards
+ * come back a few questions later. A session can cover just some cards,
+ * e.g. the ones missed in a test.
+ */
+const LEARN_CHOICES = 4;
+const LEARN_RETRY_GAP = 3;
+const LEARN_MASTERED = 2;
+
+function createLearnSession(indexes = flashcards.map((_, index) => index)) {
+    return {
+        progress: Object.fromEntries(indexes.map(index => [index, 0])),
+        queue: shuffle(indexes),
+        question: null,
+        feedback: null
+    };
+}
+
+/**
+ * Answer options for a card: it and a few other cards, as card indexes
+ */
+function pickChoices(index) {
+    const others = shuffle(flashcards.map((_, i) => i).filter(i => i !== index));
+    return shuffle([index, ...others.slice(0, LEARN_CHOICES - 1)]);
+}
+
+function nextLearnQuestion(session) {
+    session.feedback = null;
+    
+    const index = session.queue.shift();
+    if (index === undefined) {
+        session.question = null;
+        return;
+    }
+    
+    session.question = session.progress[index] === 0
+        ? { index, type: 'choice', choices: pickChoices(index) }
+        : { index, type: 'written' };
+}
+
+/**
+ * Check an answer (a card index for choices, text for written)
+ */
+async function answerLearnQuestion(session, answer) {
+    const { index, type } = session.question;
+    const card = flashcards[index];
+    const correct = type === 'choice' ? answer === index : await gradeWrittenAnswer(card, answer, { useAi: true });
+    
+    if (correct) {
+        session.progress[index]++;
+    }
+    if (session.progress[index] < LEARN_MASTERED) {
+        session.queue.splice(Math.min(LEARN_RETRY_GAP, session.queue.length), 0, index);
+    }
+    
+    session.feedback = {
+        correct,
+        expected: type === 'choice' ? card.definition : card.term
+    };
+}
+
+function renderLearnMode(view) {
+    if (!view) return;
+    if (!state.learn) {
+        state.learn = createLearnSession();
+    }
+    const session = state.learn;
+    if (!session.question && !session.feedback) {
+        nextLearnQuestion(session);
+    }
+    
+    const levels = Object.values(session.progress);
+    const total = levels.length;
+    const mastered = levels.filter(level => level >= LEARN_MASTERED).length;
+    const earned = levels.reduce((sum, level) => sum + level, 0);
+    
+    view.innerHTML = `
+        <div class="learn-mode">
+            <div class="mode-progress">
+                <span class="mode-progress-label"></span>
+                <div class="mode-progress-bar"><div class="mode-progress-fill"></div></div>
+            </div>
+            <div class="learn-body"></div>
+        </div>
+    `;
+    view.querySelector('.mode-progress-label').textContent = `${mastered} of ${total} mastered`;
+    view.querySelector('.mode-progress-fill').style.width = `${total ? (earned / (total * LEARN_MASTERED)) * 100 : 0}%`;
+    
+    const body = view.querySelector('.learn-body');
+    
+    if (!session.question) {
+        body.innerHTML = `
+            <p class="mode-done">You've learned every card in this session.</p>
+            <button class="mode-btn primary learn-restart-btn">Start over</button>
+        `;
+        body.querySelector('.learn-restart-btn').addEventListener('click', () => {
+            state.learn = null;
+            renderLearnMode(view);
+        });
+        return;
+    }
+    
+    const { index, type, choices } = session.question;
+    const card = flashcards[index];
+    
+    body.innerHTML = `
+        <span class="mode-question-label"></span>
+        <p class="mode-prompt"></p>
+        <div class="learn-answer"></div>
+        <div class="mode-feedback hidden" aria-live="polite"></div>
+    `;
+    body.querySelector('.mode-question-label').textContent = type === 'choice' ? 'Term' : 'Definition';
+    body.querySelector('.mode-prompt').textContent = type === 'choice' ? card.term : card.definition;
+    
+    const answer = body.querySelector('.learn-answer');
+    
+    if (type === 'choice') {
+        answer.classList.add('mode-choices');
+        choices.forEach(choice => {
+            const button = document.createElement('button');
+            button.className = 'mode-choice';
+            button.textContent = flashcards[choice].definition;
+            button.disabled = Boolean(session.feedback);
+            if (session.feedback && choice === index) button.classList.add('correct');
+            button.addEventListener('click', async () => {
+                await answerLearnQuestion(session, choice);
+                renderLearnMode(view);
+            });
+            answer.appendChild(button);
+        });
+    } else {
+        answer.innerHTML = `
+            <form class="mode-written">
+                <input type="text" class="mode-input" placeholder="Type the term" autocomplete="off">
+                <button type="submit" class="mode-btn primary">Answer</button>
+            </form>
+        `;
+        const form = answer.querySelector('form');
+        const input = answer.querySelector('input');
+        input.disabled = Boolean(session.feedback);
+        form.querySelector('button').disabled = Boolean(session.feedback);
+        form.addEventListener('submit', async event => {
+            event.preventDefault();
+            input.disabled = true;
+            form.querySelector('button').disabled = true;
+            await answerLearnQuestion(session, input.value);
+            renderLearnMode(view);
+        });
+        if (!session.feedback) input.focus();
+    }
+    
+    if (session.feedback) {
+        const feedback = body.querySelector('.mode-feedback');
+        feedback.classList.remove('hidden');
+        feedback.classList.toggle('correct', session.feedback.correct);
+        feedback.innerHTML = `
+            <p class="mode-feedback-title"></p>
+            <p class="mode-feedback-answer"></p>
+            <button class="mode-btn primary learn-continue-btn">Continue</button>
+        `;
+        feedback.querySelector('.mode-feedback-title').textContent = session.feedback.correct ? 'Correct!' : 'Not quite.';
+        feedback.querySelector('.mode-feedback-answer').textContent = session.feedback.correct ? '' : `Answer: ${session.feedback.expected}`;
+        
+        const continueBtn = feedback.querySelector('.learn-continue-btn');
+        continueBtn.addEventListener('click', () => {
+            nextLearnQuestion(session);
+            renderLearnMode(view);
+        });
+        continueBtn.focus();
+    }
+}
+
+// ============================================
+// Test Mode
+// ============================================
+
+/**
+ * Tests are generated locally from the set, no AI call. The user picks how
+ * many cards and which question types; matching questions group a few
+ * cards together. Written answers are graded in the browser too, unless
+ * the user turns on AI grading. The session (options, answers, report) is
+ * kept while switching modes.
+ */
+const TEST_QUESTION_TYPES = {
+    written: 'Written',
+    choice: 'Multiple choice',
+    truefalse: 'True/False',
+    matching: 'Matching'
+};
+const TEST_DEFAULT_COUNT = 20;
+const TEST_CHOICES = 4;
+const TEST_MATCHING_GROUP = 4;
+const TEST_GRADING_CONCURRENCY = 2;
+
+function defaultTestOptions() {
+    return {
+        count: Math.min(TEST_DEFAULT_COUNT, flashcards.length),
+        types: Object.keys(TEST_QUESTION_TYPES),
+        aiGrading: false
+    };
+}
+
+/**
+ * Build test questions for `count` random cards, spreading them over `types`
+ */
+function generateTest({ count, types }) {
+    // Everything but written needs other cards to draw wrong answers from
+    const usable = flashcards.length > 1 ? types : types.filter(type => type === 'written');
+    const available = usable.length > 0 ? usable : ['written'];
+    
+    const picked = shuffle(flashcards.map((_, index) => index)).slice(0, count);
+    const byType = {};
+    picked.forEach((index, i) => {
+        const type = available[i % available.length];
+        (byType[type] = byType[type] || []).push(index);
+    });
+    
+    // A matching question needs at least two cards; a lone leftover is asked as written
+    const matching = byType.matching || [];
+    if (matching.length % TEST_MATCHING_GROUP === 1) {
+        (byType.written = byType.written || []).push(matching.pop());
+    }
+    
+    const questions = [];
+    (byType.written || []).forEach(index => {
+        questions.push({ type: 'written', index, answer: '' });
+    });
+    (byType.choice || []).forEach(index => {
+        const others = shuffle(flashcards.map((_, i) => i).filter(i => i !== index));
+        questions.push({
+            type: 'choice',
+            index,
+            choices: shuffle([index, ...others.slice(0, TEST_CHOICES - 1)]),
+            answer: null
+        });
+    });
+    (byType.truefalse || []).forEach(index => {
+        const others = flashcards.map((_, i) => i).filter(i => i !== index);
+        const shown = Math.random() < 0.5 ? index : others[Math.floor(Math.random() * others.length)];
+        questions.push({ type: 'truefalse', index, shown, answer: null });
+    });
+    for (let i = 0; i < matching.length; i += TEST_MATCHING_GROUP) {
+        const indexes = matching.slice(i, i + TEST_MATCHING_GROUP);
+        questions.push({ type: 'matching', indexes, options: shuffle(indexes), answers: {} });
+    }
+    
+    return shuffle(questions);
+}
+
+/**
+ * Grade the written questions (see gradeWrittenAnswer) before the report
+ * is built. Tests are graded in the browser unless the user opted in to AI
+ * grading; then a few go at a time so a long test stays inside the API's
+ * rate limit. The verdict is kept on each question as `correct`.
+ */
+async function gradeWrittenQuestions(questions, { useAi = false } = {}) {
+    const queue = questions.filter(question => question.type === 'written');
+    
+    async function gradeNext() {
+        for (let question = queue.shift(); question; question = queue.shift()) {
+            question.correct = await gradeWrittenAnswer(flashcards[question.index], question.answer, { useAi });
+        }
+    }
+    
+    await Promise.all(Array.from({ length: TEST_GRADING_CONCURRENCY }, gradeNext));
+}
+
+/**
+ * One result per card tested: { index, correct, given }
+ */
+function gradeTest(questions) {
+    return questions.flatMap(question => {
+        const card = flashcards[question.index];
+        
+        switch (question.type) {
+            case 'written':
+                return [{
+                    index: question.index,
+                    correct: question.correct ?? isCorrectAnswer(card.term, question.answer),
+                    given: question.answer
+                }];
+            case 'choice':
+                return [{
+                    index: question.index,
+                    correct: question.answer === question.index,
+                    given: question.answer !== null ? flashcards[question.answer].definition : ''
+                }];
+            case 'truefalse':
+                return [{
+                    index: question.index,
+                    correct: question.answer !== null && question.answer === (question.shown === question.index),
+                    given: question.answer === null ? '' : (question.answer ? 'True' : 'False')
+                }];
+            case 'matching':
+                return question.indexes.map(index => {
+                    const chosen = question.answers[index];
+                    return {
+                        index,
+                        correct: chosen === index,
+                        given: chosen !== undefined ? flashcards[chosen].definition : ''
+                    };
+                });
+            default:
+                return [];
+        }
+    });
+}
+
+function isQuestionAnswered(question) {
+    switch (question.type) {
+        case 'written':
+            return question.answer.trim() !== '';
+        case 'matching':
+            return question.indexes.every(index => question.answers[index] !== undefined);
+        default:
+            return question.answer !== null;
+    }
+}
+
+function renderTestMode(view) {
+    if (!view) return;
+    if (!state.test) {
+        state.test = { options: defaultTestOptions(), questions: null, results: null };
+    }
+    const session = state.test;
+    
+    if (!session.questions) {
+        renderTestSetup(view, session);
+        return;
+    }
+    
+    view.innerHTML = `
+        <div class="test-mode">
+            <div class="test-report hidden"></div>
+            <ol class="test-questions"></ol>
+            <div class="test-actions">
+                <button class="mode-btn primary test-submit-btn">Submit test</button>
+            </div>
+        </div>
+    `;
+    
+    if (session.results) {
+        renderTestReport(view.querySelector('.test-report'), session);
+        view.querySelector('.test-actions').classList.add('hidden');
+    }
+    
+    const list = view.querySelector('.test-questions');
+    session.questions.forEach(question => {
+        const item = document.createElement('li');
+        item.className = 'test-question';
+        renderTestQuestion(item, question, Boolean(session.results));
+        list.appendChild(item);
+    });
+    
+    const submitBtn = view.querySelector('.test-submit-btn');
+    submitBtn.addEventListener('click', async () => {
+        const unanswered = session.questions.filter(question => !isQuestionAnswered(question)).length;
+        if (unanswered > 0 && !confirm(`${unanswered} question${unanswered !== 1 ? 's are' : ' is'} unanswered. Submit anyway?`)) {
+            return;
+        }
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Grading...';
+        await gradeWrittenQuestions(session.questions, { useAi: session.options.aiGrading });
+        session.results = gradeTest(session.questions);
+        renderTestMode(view);
+        view.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+}
+
+/**
+ * Question count and types, then start
+ */
+function renderTestSetup(view, session) {
+    const total = flashcards.length;
+    
+    view.innerHTML = `
+        <div class="test-mode">
+            <form class="test-setup">
+                <h3 class="test-setup-title">Set up your test</h3>
+                <label class="test-option">
+                    <span>Questions (max ${total})</span>
+                    <input type="number" class="mode-input test-count" min="1" max="${total}">
+                </label>
+                <fieldset class="test-types">
+                    <legend>Question types</legend>
+                </fieldset>
+                <label class="test-type-option">
+                    <input type="checkbox" class="test-ai-grading">
+                    <span>Grade written answers with AI (accepts rewording)</span>
+                </label>
+                <button type="submit" class="mode-btn primary">Start test</button>
+            </form>
+        </div>
+    `;
+    
+    const countInput = view.querySelector('.test-count');
+    countInput.value = session.options.count;
+    
+    const aiGradingInput = view.querySelector('.test-ai-grading');
+    aiGradingInput.checked = Boolean(session.options.aiGrading);
+    
+    const typesFieldset = view.querySelector('.test-types');
+    Object.entries(TEST_QUESTION_TYPES).forEach(([type, label]) => {
+        const option = document.createElement('label');
+        option.className = 'test-type-option';
+        option.innerHTML = `<input type="checkbox" value="${type}"> <span></span>`;
+        option.querySelector('input').checked = session.options.types.includes(type);
+        option.querySelector('span').textContent = label;
+        typesFieldset.appendChild(option);
+    });
+    
+    view.querySelector('.test-setup').addEventListener('submit', event => {
+        event.preventDefault();
+        
+        const types = [...typesFieldset.querySelectorAll('input:checked')].map(input => input.value);
+        if (types.length === 0) {
+            alert('Choose at least one question type.');
+            return;
+        }
+        if (total === 0) {
+            alert('Add some cards to this set first.');
+            return;
+        }
+        
+        const count = Math.min(Math.max(parseInt(countInput.value, 10) || 1, 1), total);
+        session.options = { count, types, aiGrading: aiGradingInput.checked };
+        session.questions = generateTest(session.options);
+        session.results = null;
+        renderTestMode(view);
+    });
+}
+
+/**
+ * Draw one question into `item`; answers are written straight to the question
+ */
+function renderTestQuestion(item, question, graded) {
+    const card = flashcards[question.index];
+    item.dataset.type = question.type;
+    
+    item.innerHTML = `
+        <span class="mode-question-label"></span>
+        <div class="test-question-body"></div>
+    `;
+    item.querySelector('.mode-question-label').textContent = TEST_QUESTION_TYPES[question.type];
+    const body = item.querySelector('.test-question-body');
+    
+    if (question.type === 'written') {
+        body.innerHTML = `
+            <p class="mode-prompt"></p>
+            <input type="text" class="mode-input" placeholder="Type the term" autocomplete="off">
+        `;
+        body.querySelector('.mode-prompt').textContent = card.definition;
+        const input = body.querySelector('input');
+        input.value = question.answer;
+        input.disabled = graded;
+        input.addEventListener('input', () => {
+            question.answer = input.value;
+        });
+    }
+    
+    if (question.type === 'choice' || question.type === 'truefalse') {
+        const options = question.type === 'choice'
+            ? question.choices.map(choice => [choice, flashcards[choice].definition])
+            : [[true, 'True'], [false, 'False']];
+        
+        body.innerHTML = '<p class="mode-prompt"></p><div class="mode-choices"></div>';
+        body.querySelector('.mode-prompt').textContent = question.type === 'choice'
+            ? card.term
+            : `${card.term} — ${flashcards[question.shown].definition}`;
+        
+        const choices = body.querySelector('.mode-choices');
+        options.forEach(([value, label]) => {
+            const button = document.createElement('button');
+            button.className = 'mode-choice';
+            button.textContent = label;
+            button.disabled = graded;
+            button.classList.toggle('selected', question.answer === value);
+            button.addEventListener('click', () => {
+                question.answer = value;
+                choices.querySelectorAll('.mode-choice').forEach(other => other.classList.toggle('selected', other === button));
+            });
+            choices.appendChild(button);
+        });
+    }
+    
+    if (question.type === 'matching') {
+        body.innerHTML = '<ol class="test-matching-options" type="A"></ol><div class="test-matching-terms"></div>';
+        
+        const optionList = body.querySelector('.test-matching-options');
+        question.options.forEach(option => {
+            const li = document.createElement('li');
+            li.textContent = flashcards[option].definition;
+            optionList.appendChild(li);
+        });
+        
+        const terms = body.querySelector('.test-matching-terms');
+        question.indexes.forEach(index => {
+            const row = document.createElement('label');
+            row.className = 'test-matching-row';
+            row.innerHTML = '<span class="test-matching-term"></span><select class="mode-input"><option value="">-</option></select>';
+            row.querySelector('.test-matching-term').textContent = flashcards[index].term;
+            
+            const select = row.querySelector('select');
+            question.options.forEach((option, i) => {
+                select.add(new Option(String.fromCharCode(65 + i), option));
+            });
+            select.value = question.answers[index] ?? '';
+            select.disabled = graded;
+            select.addEventListener('change', () => {
+                if (select.value === '') {
+                    delete question.answers[index];
+                } else {
+                    question.answers[index] = Number(select.value);
+                }
+            });
+            terms.appendChild(row);
+        });
+    }
+    
+    if (graded) {
+        const results = gradeTest([question]);
+        const correct = results.every(result => result.correct);
+        item.classList.add(correct ? 'correct' : 'incorrect');
+        
+        const missed = results.filter(result => !result.correct);
+        if (missed.length > 0) {
+            const correction = document.createElement('p');
+            correction.className = 'test-correction';
+            correction.textContent = missed
+                .map(result => `${flashcards[result.index].term}: ${flashcards[result.index].definition}`)
+                .join(' · ');
+            item.appendChild(correction);
+        }
+    }
+}
+
+/**
+ * Score, the cards that were missed, and a way to restudy just those
+ */
+function renderTestReport(report, session) {
+    const results = session.results;
+    const correctCount = results.filter(result => result.correct).length;
+    const missed = results.filter(result => !result.correct);
+    const percent = results.length ? Math.round((correctCount / results.length) * 100) : 0;
+    
+    report.classList.remove('hidden');
+    report.innerHTML = `
+        <p class="test-score"></p>
+        <p class="test-score-detail"></p>
+        <ul class="test-missed"></ul>
+        <div class="test-report-actions">
+            <button class="mode-btn primary test-restudy-btn"></button>
+            <button class="mode-btn test-new-btn">New test</button>
+        </div>
+    `;
+    report.querySelector('.test-score').textContent = `${percent}%`;
+    report.querySelector('.test-score-detail').textContent = `${correctCount} of ${results.length} correct`;
+    
+    const missedList = report.querySelector('.test-missed');
+    missed.forEach(result => {
+        const card = flashcards[result.index];
+        const item = document.createElement('li');
+        item.className = 'test-missed-item';
+        item.innerHTML = `
+            <span class="test-missed-term"></span>
+            <span class="test-missed-definition"></span>
+            <span class="test-missed-given"></span>
+        `;
+        item.querySelector('.test-missed-term').textContent = card.term;
+        item.querySelector('.test-missed-definition').textContent = card.definition;
+        item.querySelector('.test-missed-given').textContent = result.given ? `Your answer: ${result.given}` : 'No answer';
+        missedList.appendChild(item);
+    });
+    
+    const restudyBtn = report.querySelector('.test-restudy-btn');
+    restudyBtn.textContent = `Restudy ${missed.length} missed card${missed.length !== 1 ? 's' : ''}`;
+    restudyBtn.classList.toggle('hidden', missed.length === 0);
+    restudyBtn.addEventListener('click', () => {
+        state.learn = createLearnSession(missed.map(result => result.index));
+        setStudyMode('learn');
+    });
+    
+    report.querySelector('.test-new-btn').addEventListener('click', () => {
+        state.test = { options: session.options, questions: null, results: null };
+        renderTestMode(getModeView('test'));
+    });
+}
+
+// ============================================
+// Match Mode
+// ============================================
+
+/**
+ * Pair each term with its definition as fast as possible, by clicking two
+ * tiles or dragging one onto the other. Wrong pairs add a time penalty.
+ * The clock only runs while the Match view is showing. Finishing times are
+ * kept per set as a personal best board.
+ */
+const MATCH_PAIRS = 6;
+const MATCH_PENALTY_MS = 1000;
+const MATCH_BEST_TIMES = 5;
+let matchTimer = null;
+
+function createMatchSession() {
+    const picked = shuffle(flashcards.map((_, index) => index)).slice(0, MATCH_PAIRS);
+    
+    return {
+        tiles: shuffle(picked.flatMap(index => [
+            { index, side: 'term' },
+            { index, side: 'definition' }
+        ])),
+        matched: new Set(),
+        selected: null,
+        started: false,
+        elapsedMs: 0,
+        penaltyMs: 0,
+        resumedAt: null,
+        finished: false,
+        rank: -1
+    };
+}
+
+function matchElapsed(session) {
+    return session.elapsedMs + session.penaltyMs + (session.resumedAt ? Date.now() - session.resumedAt : 0);
+}
+
+function formatMatchTime(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
+
+function resumeMatch(session) {
+    if (session.resumedAt || session.finished) return;
+    session.resumedAt = Date.now();
+    
+    clearInterval(matchTimer);
+    matchTimer = setInterval(() => {
+        const clock = document.querySelector('.match-clock');
+        if (clock) clock.textContent = formatMatchTime(matchElapsed(session));
+    }, 100);
+}
+
+/**
+ * Stop the clock, keeping the time so far
+ */
+function pauseMatch() {
+    clearInterval(matchTimer);
+    matchTimer = null;
+    
+    const session = state.match;
+    if (session?.resumedAt) {
+        session.elapsedMs += Date.now() - session.resumedAt;
+        session.resumedAt = null;
+    }
+}
+
+/**
+ * This set's best times, fastest first: [{ timeMs, pairs, at }]
+ */
+function loadMatchBestTimes() {
+    try {
+        const all = JSON.parse(localStorage.getItem('matchBestTimes')) || {};
+        return all[state.setId] || [];
+    } catch (e) {
+        console.error('Error loading best times:', e);
+        return [];
+    }
+}
+
+/**
+ * Add a finishing time to the board; returns its rank, or -1 if it didn't place
+ */
+function recordMatchTime(timeMs, pairs) {
+    let all = {};
+    try {
+        all = JSON.parse(localStorage.getItem('matchBestTimes')) || {};
+    } catch (e) {
+        console.error('Error loading best times:', e);
+    }
+    
+    const entry = { timeMs, pairs, at: new Date().toISOString() };
+    const times = [...(all[state.setId] || []), entry]
+        .sort((a, b) => a.timeMs - b.timeMs)
+        .slice(0, MATCH_BEST_TIMES);
+    all[state.setId] = times;
+    localStorage.setItem('matchBestTimes', JSON.stringify(all));
+    
+    return times.indexOf(entry);
+}
+
+/**
+ * Try to pair tile `position` with the selected one (or `other` when
+ * dragging). Returns the two positions of a wrong pair, otherwise null.
+ */
+function selectMatchTile(session, position, other = session.selected) {
+    const tile = session.tiles[position];
+    if (session.matched.has(tile.index)) return null;
+    
+    if (other === null || other === position) {
+        session.selected = session.selected === position ? null : position;
+        return null;
+    }
+    
+    const otherTile = session.tiles[other];
+    session.selected = null;
+    
+    if (otherTile.index === tile.index && otherTile.side !== tile.side) {
+        session.matched.add(tile.index);
+        if (session.matched.size * 2 === session.tiles.length) {
+            pauseMatch();
+            session.finished = true;
+            session.rank = recordMatchTime(matchElapsed(session), session.matched.size);
+        }
+        return null;
+    }
+    
+    session.penaltyMs += MATCH_PENALTY_MS;
+    return [position, other];
+}
+
+/**
+ * Best-times list for the intro and results screens
+ */
+function renderMatchBestTimes(container, highlight = -1) {
+    const times = loadMatchBestTimes();
+    if (times.length === 0) return;
+    
+    const board = document.createElement('div');
+    board.className = 'match-best';
+    board.innerHTML = '<h3 class="match-best-title">Your best times</h3><ol class="match-best-list"></ol>';
+    
+    const list = board.querySelector('.match-best-list');
+    times.forEach((entry, rank) => {
+        const item = document.createElement('li');
+        item.className = 'match-best-item';
+        item.classList.toggle('current', rank === highlight);
+        item.innerHTML = '<span class="match-best-time"></span><span class="match-best-date"></span>';
+        item.querySelector('.match-best-time').textContent = formatMatchTime(entry.timeMs);
+        item.querySelector('.match-best-date').textContent = new Date(entry.at).toLocaleDateString();
+        list.appendChild(item);
+    });
+    
+    container.appendChild(board);
+}
+
+function renderMatchMode(view) {
+    if (!view) return;
+    if (!state.match) {
+        state.match = createMatchSession();
+    }
+    const session = state.match;
+    
+    if (!session.started || session.finished) {
+        view.innerHTML = `
+            <div class="match-mode match-intro">
+                <p class="mode-done"></p>
+                <p class="match-penalty-note"></p>
+                <button class="mode-btn primary match-start-btn"></button>
+            </div>
+        `;
+        const intro = view.querySelector('.match-intro');
+        const message = view.querySelector('.mode-done');
+        const note = view.querySelector('.match-penalty-note');
+        const startBtn = view.querySelector('.match-start-btn');
+        
+        if (session.finished) {
+            const time = formatMatchTime(session.elapsedMs + session.penaltyMs);
+            message.textContent = session.rank === 0 ? `New personal best: ${time}!` : `You matched them all in ${time}.`;
+            note.textContent = session.penaltyMs > 0 ? `Includes ${formatMatchTime(session.penaltyMs)} of penalties.` : 'No wrong matches!';
+            startBtn.textContent = 'Play again';
+        } else if (flashcards.length < 2) {
+            message.textContent = 'Add at least two cards to play Match.';
+            startBtn.classList.add('hidden');
+        } else {
+            message.textContent = 'Match every term with its definition as fast as you can.';
+            note.textContent = `Click two tiles or drag one onto the other. Wrong matches add ${MATCH_PENALTY_MS / 1000}s.`;
+            startBtn.textContent = 'Start game';
+        }
+        
+        startBtn.addEventListener('click', () => {
+            if (session.finished) {
+                state.match = createMatchSession();
+            }
+            state.match.started = true;
+            renderMatchMode(view);
+        });
+        
+        renderMatchBestTimes(intro, session.finished ? session.rank : -1);
+        return;
+    }
+    
+    view.innerHTML = `
+        <div class="match-mode">
+            <p class="match-clock" aria-live="off"></p>
+            <div class="match-grid"></div>
+        </div>
+    `;
+    view.querySelector('.match-clock').textContent = formatMatchTime(matchElapsed(session));
+    
+    const grid = view.querySelector('.match-grid');
+    
+    const pair = (position, other) => {
+        const wrong = selectMatchTile(session, position, other);
+        renderMatchMode(view);
+        wrong?.forEach(index => {
+            const tile = view.querySelector(`.match-tile[data-position="${index}"]`);
+            tile?.classList.add('wrong');
+            setTimeout(() => tile?.classList.remove('wrong'), 400);
+        });
+    };
+    
+    session.tiles.forEach((tile, position) => {
+        const isMatched = session.matched.has(tile.index);
+        const button = document.createElement('button');
+        button.className = 'match-tile';
+        button.dataset.position = position;
+        button.textContent = flashcards[tile.index][tile.side];
+        button.classList.toggle('selected', session.selected === position);
+        button.classList.toggle('matched', isMatched);
+        button.disabled = isMatched;
+        button.draggable = !isMatched;
+        
+        button.addEventListener('click', () => pair(position));
+        button.addEventListener('dragstart', event => {
+            event.dataTransfer.setData('text/plain', String(position));
+            event.dataTransfer.effectAllowed = 'move';
+            button.classList.add('dragging');
+        });
+        button.addEventListener('dragend', () => button.classList.remove('dragging'));
+        button.addEventListener('dragover', event => {
+            event.preventDefault();
+            button.classList.add('drop-target');
+        });
+        button.addEventListener('dragleave', () => button.classList.remove('drop-target'));
+        button.addEventListener('drop', event => {
+            event.preventDefault();
+            const from = Number(event.dataTransfer.getData('text/plain'));
+            if (Number.isInteger(from) && from !== position) {
+                pair(position, from);
+            }
+        });
+        grid.appendChild(button);
+    });
+    
+    resumeMatch(session);
+}
+
+// ============================================
+// Modal Functions
+// ============================================
+
+/**
+ * Open debug modal
+ */
+function openDebugModal() {
+    elements.debugModalOverlay?.classList.add('active');
+    loadUsageReport();
+}
+
+/**
+ * Close debug modal
+ */
+function closeDebugModal() {
+    elements.debugModalOverlay?.classList.remove('active');
+}
+
+/**
+ * Open import modal
+ */
+function openImportModal() {
+    elements.importModalOverlay?.classList.add('active');
+}
+
+/**
+ * Close import modal
+ */
+function closeImportModal() {
+    elements.importModalOverlay?.classList.remove('active');
+}
+
+/**
+ * Import flashcards from text
+ */
+function importFlashcards() {
+    const title = elements.importTitleInput?.value || 'Untitled Set';
+    const text = elements.importTextarea?.value || '';
+    
+    if (!text.trim()) {
+        alert('Please enter some flashcard content');
+        return;
+    }
+    
+    // Parse the text (tab or comma separated)
+    const lines = text.split(/[\n;]+/).filter(line => line.trim());
+    const newCards = [];
+    
+    lines.forEach(line => {
+        const parts = line.split(/[\t,]/).map(p => p.trim());
+        if (parts.length >= 2) {
+            newCards.push({
+                term: parts[0],
+                definition: parts[1]
+            });
+        }
+    });
+    
+    if (newCards.length > 0) {
+        applyImportedCards(title, newCards, 'new');
+        closeImportModal();
+    }
+}
+
+/**
+ * Start a new set from cards (`new`), or replace or extend the current one,
+ * and refresh every view
+ */
+function applyImportedCards(title, newCards, mode = 'replace') {
+    ensureCardIds(newCards);
+    
+    if (mode === 'new') {
+        addLibrarySet(title, newCards);
+    } else {
+        state.setTitle = title;
+        if (mode === 'replace') {
+            flashcards.length = 0;
+            state.currentIndex = 0;
+        }
+        flashcards.push(...newCards);
+    }
+    
+    refreshAllViews();
+    saveContent();
+}
+
+/**
+ * Re-render every view of the current set
+ */
+function refreshAllViews() {
+    state.reviewQueue = buildReviewQueue(flashcards);
+    resetStudyModes();
+    updateCard(false);
+    updateTopicsList(flashcards);
+    
+    if (document.body.classList.contains('option-b') || document.body.classList.contains('option-e')) {
+        updatePanelTermsList();
+    }
+    if (document.body.classList.contains('option-c')) {
+        updateJourneyView();
+    }
+    if (document.body.classList.contains('option-d')) {
+        initTableView();
+    }
+}
+
+// ============================================
+// Generate From Notes
+// ============================================
+
+/**
+ * Ask the API for a set built from a topic or pasted notes, then preview it
+ */
+async function generateFromNotes() {
+    const topic = elements.generateTopicInput?.value.trim() || '';
+    const notes = elements.generateNotesTextarea?.value.trim() || '';
+    const count = Number(elements.generateCountInput?.value) || 10;
+    
+    if (!topic && !notes) {
+        alert('Please enter a topic or paste some notes');
+        return;
+    }
+    
+    const submitBtn = elements.generateSubmitBtn;
+    if (submitBtn) {
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Generating...';
+    }
+    
+    try {
+        const set = await apiRequest('/api/generate-set', {
+            method: 'POST',
+            body: { topic, notes, count }
+        });
+        
+        state.generatedCards = set.cards;
+        if (elements.importTitleInput && !elements.importTitleInput.value) {
+            elements.importTitleInput.value = set.title;
+        }
+        renderGeneratedPreview();
+    } catch (error) {
+        alert(describeApiError(error));
+    } finally {
+        if (submitBtn) {
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Generate';
+        }
+    }
+}
+
+/**
+ * Show the generated cards so they can be pruned before they are used
+ */
+function renderGeneratedPreview() {
+    const container = elements.generatePreview;
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    state.generatedCards.forEach((card, index) => {
+        const item = document.createElement('div');
+        item.className = 'generate-preview-item';
+        item.innerHTML = `
+            <div class="generate-preview-content">
+                <span class="generate-preview-term"></span>
+                <span class="generate-preview-definition"></span>
+            </div>
+            <button class="icon-btn generate-preview-remove" aria-label="Remove card">
+                <span class="material-symbols-rounded">close</span>
+            </button>
+        `;
+        item.querySelector('.generate-preview-term').textContent = card.term;
+        item.querySelector('.generate-preview-definition').textContent = card.definition;
+        item.querySelector('.generate-preview-remove').addEventListener('click', () => {
+            state.generatedCards.splice(index, 1);
+            renderGeneratedPreview();
+        });
+        container.appendChild(item);
+    });
+    
+    const hasCards = state.generatedCards.length > 0;
+    container.classList.toggle('hidden', !hasCards);
+    elements.generateReplaceBtn?.classList.toggle('hidden', !hasCards);
+    elements.generateAppendBtn?.classList.toggle('hidden', !hasCards);
+}
+
+/**
+ * Use the previewed cards, either replacing the set or adding to it
+ */
+function acceptGeneratedCards(mode) {
+    if (state.generatedCards.length === 0) return;
+    
+    const title = elements.importTitleInput?.value || 'Generated Set';
+    applyImportedCards(title, state.generatedCards, mode);
+    
+    state.generatedCards = [];
+    renderGeneratedPreview();
+    closeImportModal();
+}
+
+// ============================================
+// Translate Set
+// ============================================
+
+/**
+ * Translate the current set and preview the result
+ */
+async function translateCurrentSet() {
+    const language = elements.translateLanguageInput?.value.trim() || '';
+    const fields = elements.translateFieldsSelect?.value || 'definitions';
+    const keepTechnicalTerms = elements.translateKeepTermsCheckbox?.checked || false;
+    
+    if (!language) {
+        alert('Please enter a language');
+        return;
+    }
+    
+    const submitBtn = elements.translateSubmitBtn;
+    if (submitBtn) {
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Translating...';
+    }
+    
+    try {
+        state.translation = await apiRequest('/api/translate-set', {
+            method: 'POST',
+            body: {
+                cards: flashcards.map(({ term, definition }) => ({ term, definition })),
+                language,
+                fields,
+                keepTechnicalTerms
+            }
+        });
+        renderTranslationPreview();
+    } catch (error) {
+        alert(describeApiError(error));
+    } finally {
+        if (submitBtn) {
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Translate';
+        }
+    }
+}
+
+/**
+ * Show the translated cards before they are saved
+ */
+function renderTranslationPreview() {
+    const container = elements.translatePreview;
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    const cards = state.translation?.cards || [];
+    cards.forEach(card => {
+        const item = document.createElement('div');
+        item.className = 'generate-preview-item';
+        item.innerHTML = `
+            <div class="generate-preview-content">
+                <span class="generate-preview-term"></span>
+                <span class="generate-preview-definition"></span>
+            </div>
+        `;
+        item.querySelector('.generate-preview-term').textContent = card.term;
+        item.querySelector('.generate-preview-definition').textContent = card.definition;
+        container.appendChild(item);
+    });
+    
+    const hasCards = cards.length > 0;
+    container.classList.toggle('hidden', !hasCards);
+    elements.translateNewSetBtn?.classList.toggle('hidden', !hasCards);
+    elements.translateSideBtn?.classList.toggle('hidden', !hasCards);
+}
+
+/**
+ * Save the translation as its own set ('new') or on the existing cards as a
+ * second-language side ('side')
+ */
+function acceptTranslation(mode) {
+    const translation = state.translation;
+    if (!translation) return;
+    
+    // The translation was made from the set as it was; it may have changed since
+    if (translation.cards.length !== flashcards.length) {
+        alert('The set changed since it was translated. Please translate it again.');
+        return;
+    }
+    
+    if (mode === 'new') {
+        const cards = translation.cards.map(({ term, definition }) => ({ term, definition }));
+        applyImportedCards(`${state.setTitle} (${translation.language})`, cards, 'new');
+    } else {
+        flashcards.forEach((card, index) => {
+            const { term, definition } = translation.cards[index];
+            card.translation = { language: translation.language, term, definition };
+        });
+        updateCard(false);
+        saveContent();
+    }
+    
+    state.translation = null;
+    renderTranslationPreview();
+    closeImportModal();
+}
+
+/**
+ * Show a card's second-language side under its definition
+ */
+function renderTranslationSide(container, translation) {
+    const side = document.createElement('div');
+    side.className = 'card-translation';
+    side.innerHTML = `
+        <span class="card-translation-language"></span>
+        <span class="card-translation-term"></span>
+        <span class="card-translation-definition"></span>
+    `;
+    side.querySelector('.card-translation-language').textContent = translation.language;
+    side.querySelector('.card-translation-term').textContent = translation.term;
+    side.querySelector('.card-translation-definition').textContent = translation.definition;
+    container.appendChild(side);
+}
+
+// ============================================
+// State Persistence
+// ============================================
+
+/**
+ * Save UI state and the current card of each set to localStorage. This runs
+ * on every card change, so it leaves the (much larger) library alone.
+ */
+function saveState() {
+    const entry = state.library?.sets[state.setId];
+    if (entry) {
+        entry.currentCardId = flashcards[state.currentIndex]?.id || null;
+        state.positions[entry.id] = entry.currentCardId;
+    }
+    
+    localStorage.setItem('flashcardState', JSON.stringify({
+        studyMode: state.studyMode,
+        positions: state.positions
+    }));
+}
+
+/**
+ * Load saved state from localStorage
+ */
+function loadSavedState() {
+    const saved = localStorage.getItem('flashcardState');
+    if (saved) {
+        try {
+            const data = JSON.parse(saved);
+            state.studyMode = STUDY_MODES.includes(data.studyMode) ? data.studyMode : 'flashcards';
+            state.positions = data.positions || {};
+        } catch (e) {
+            console.error('Error loading saved state:', e);
+        }
+    }
+}
+
+// ============================================
+// Set Library
+// ============================================
+
+/**
+ * Every set the user has lives in localStorage under `flashcardLibrary`:
+ *   { activeSetId, sets: { [id]: { id, title, cards, starred: [cardId],
+ *     currentCardId, updatedAt, dirty, serverUpdatedAt } } }
+ * The current card is also kept per set id in `flashcardState.positions`,
+ * which is cheap to rewrite while stepping through cards.
+ * Set ids are the same ones the sets API uses. Cards carry stable ids, so
+ * stars and review schedules follow the card rather than its position.
+ */
+
+/**
+ * Give every card without one a stable id
+ */
+function ensureCardIds(cards) {
+    cards.forEach(card => {
+        if (!card.id) card.id = crypto.randomUUID();
+    });
+    return cards;
+}
+
+function createLibrarySet(title, cards, id = crypto.randomUUID()) {
+    return {
+        id,
+        title,
+        cards: ensureCardIds(cards),
+        starred: [],
+        currentCardId: null,
+        updatedAt: new Date().toISOString(),
+        dirty: true,
+        serverUpdatedAt: null
+    };
+}
+
+function saveLibrary() {
+    localStorage.setItem('flashcardLibrary', JSON.stringify(state.library));
+}
+
+/**
+ * Read the library and open its active set (without rendering)
+ */
+function loadLibrary() {
+    try {
+        state.library = JSON.parse(localStorage.getItem('flashcardLibrary'));
+    } catch (e) {
+        console.error('Error loading set library:', e);
+    }
+    if (!state.library?.sets || Object.keys(state.library.sets).length === 0) {
+        state.library = migrateLegacyContent();
+    }
+    
+    const sets = state.library.sets;
+    applyLibrarySet(sets[state.library.activeSetId] || Object.values(sets)[0]);
+    saveLibrary();
+}
+
+/**
+ * Build the library from the single-set storage used before it existed,
+ * or from the sample cards on a first visit
+ */
+function migrateLegacyContent() {
+    let content = null;
+    let saved = {};
+    let reviews = {};
+    try {
+        content = JSON.parse(localStorage.getItem('flashcardContent'));
+        saved = JSON.parse(localStorage.getItem('flashcardState')) || {};
+        reviews = JSON.parse(localStorage.getItem('flashcardReviews')) || {};
+    } catch (e) {
+        console.error('Error loading saved content:', e);
+    }
+    
+    const title = content?.title || state.setTitle;
+    const cards = content?.flashcards?.length ? content.flashcards : flashcards.map(card => ({ ...card }));
+    const entry = createLibrarySet(title, cards, localStorage.getItem('flashcardSetId') || undefined);
+    
+    // Stars were card positions; schedules were keyed by set id or title, then card id or term
+    entry.starred = (saved.starredCards || []).map(index => entry.cards[index]?.id).filter(Boolean);
+    entry.currentCardId = entry.cards[saved.currentIndex]?.id || null;
+    const savedReviews = { ...reviews[title], ...reviews[entry.id] };
+    entry.cards.forEach(card => {
+        const review = savedReviews[card.id] || savedReviews[card.term];
+        if (!card.review && review) card.review = review;
+    });
+    
+    ['flashcardContent', 'flashcardSetId', 'flashcardReviews'].forEach(key => localStorage.removeItem(key));
+    return { activeSetId: entry.id, sets: { [entry.id]: entry } };
+}
+
+/**
+ * Make a library set the one being studied
+ */
+function applyLibrarySet(entry) {
+    state.library.activeSetId = entry.id;
+    state.setId = entry.id;
+    state.setTitle = entry.title;
+    flashcards.length = 0;
+    flashcards.push(...entry.cards);
+    state.starredCards = new Set(entry.starred);
+    const currentCardId = state.positions[entry.id] ?? entry.currentCardId;
+    state.currentIndex = Math.max(0, flashcards.findIndex(card => card.id === currentCardId));
+}
+
+/**
+ * Copy the set being studied back into the library. `changed` marks a
+ * content change that still has to reach the server.
+ */
+function storeActiveSet({ changed = false } = {}) {
+    const entry = state.library?.sets[state.setId];
+    if (!entry) return;
+    
+    entry.title = state.setTitle;
+    entry.cards = [...flashcards];
+    entry.starred = [...state.starredCards].filter(id => flashcards.some(card => card.id === id));
+    entry.currentCardId = flashcards[state.currentIndex]?.id || null;
+    
+    if (changed) {
+        entry.updatedAt = new Date().toISOString();
+        entry.dirty = true;
+    }
+}
+
+/**
+ * Add a set to the library and switch to it
+ */
+function addLibrarySet(title, cards) {
+    storeActiveSet();
+    const entry = createLibrarySet(title, cards);
+    state.library.sets[entry.id] = entry;
+    applyLibrarySet(entry);
+    return entry;
+}
+
+/**
+ * Study another set from the library
+ */
+function switchSet(id) {
+    const entry = state.library.sets[id];
+    if (!entry || id === state.setId) return;
+    
+    storeActiveSet();
+    applyLibrarySet(entry);
+    saveLibrary();
+    refreshAllViews();
+    renderSetSwitcher();
+}
+
+/**
+ * Remove a set from the library and the server. The last set can't be deleted.
+ */
+function deleteLibrarySet(id) {
+    const entry = state.library.sets[id];
+    if (!entry || Object.keys(state.library.sets).length < 2) return;
+    if (!confirm(`Delete "${entry.title}"? This can't be undone.`)) return;
+    
+    clearTimeout(pendingSetSyncs.get(id));
+    pendingSetSyncs.delete(id);
+    delete state.library.sets[id];
+    delete state.positions[id];
+    
+    if (id === state.setId) {
+        const [next] = Object.values(state.library.sets).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        applyLibrarySet(next);
+        refreshAllViews();
+    }
+    saveLibrary();
+    renderSetSwitcher();
+    
+    if (state.setsApiAvailable !== false) {
+        setsRequest(`/api/sets/${encodeURIComponent(id)}`, { method: 'DELETE' }).catch(error => {
+            if (error.code !== 'not_found') noteSetsApiError(error);
+        });
+    }
+}
+
+/**
+ * List the library's sets in the sidebar, most recently changed first
+ */
+function renderSetSwitcher() {
+    const sidebar = document.querySelector('.sidebar');
+    if (!sidebar || !state.library) return;
+    
+    let switcher = document.getElementById('set-switcher');
+    if (!switcher) {
+        switcher = document.createElement('nav');
+        switcher.id = 'set-switcher';
+        switcher.className = 'set-switcher';
+        switcher.setAttribute('aria-label', 'Your sets');
+        switcher.innerHTML = `
+            <div class="set-switcher-header">
+                <span class="set-switcher-title">Your sets</span>
+                <button class="icon-btn set-switcher-new" aria-label="New set">
+                    <span class="material-symbols-rounded">add</span>
+                </button>
+            </div>
+            <ul class="set-switcher-list"></ul>
+        `;
+        switcher.querySelector('.set-switcher-new').addEventListener('click', openImportModal);
+        
+        if (elements.setTitle) {
+            elements.setTitle.insertAdjacentElement('afterend', switcher);
+        } else {
+            sidebar.prepend(switcher);
+        }
+    }
+    
+    if (elements.setTitle) {
+        elements.setTitle.textContent = state.setTitle;
+    }
+    
+    const list = switcher.querySelector('.set-switcher-list');
+    list.innerHTML = '';
+    
+    const sets = Object.values(state.library.sets).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    sets.forEach(entry => {
+        const isActive = entry.id === state.setId;
+        const item = document.createElement('li');
+        item.className = 'set-switcher-item';
+        item.classList.toggle('active', isActive);
+        item.innerHTML = `
+            <button class="set-switcher-open">
+                <span class="set-switcher-name"></span>
+                <span class="set-switcher-count"></span>
+                <span class="set-switcher-sync hidden">Not saved online</span>
+            </button>
+            <button class="icon-btn set-switcher-delete" aria-label="Delete set">
+                <span class="material-symbols-rounded">delete</span>
+            </button>
+        `;
+        
+        const openBtn = item.querySelector('.set-switcher-open');
+        openBtn.setAttribute('aria-current', isActive ? 'true' : 'false');
+        openBtn.addEventListener('click', () => switchSet(entry.id));
+        item.querySelector('.set-switcher-name').textContent = entry.title;
+        item.querySelector('.set-switcher-count').textContent = `${entry.cards.length} term${entry.cards.length !== 1 ? 's' : ''}`;
+        
+        const syncStatus = item.querySelector('.set-switcher-sync');
+        syncStatus.classList.toggle('hidden', !entry.syncError);
+        if (entry.syncError) syncStatus.title = entry.syncError;
+        
+        const deleteBtn = item.querySelector('.set-switcher-delete');
+        deleteBtn.classList.toggle('hidden', sets.length < 2);
+        deleteBtn.addEventListener('click', () => deleteLibrarySet(entry.id));
+        
+        list.appendChild(item);
+    });
+}
+
+// ============================================
+// Set Sync
+// ============================================
+
+const SET_SYNC_DELAY = 500;
+const pendingSetSyncs = new Map();
+
+/**
+ * Secret that proves this browser owns its sets on the server
+ */
+function getSetOwnerToken() {
+    let token = localStorage.getItem('flashcardOwnerToken');
+    if (!token) {
+        token = crypto.randomUUID();
+        localStorage.setItem('flashcardOwnerToken', token);
+    }
+    return token;
+}
+
+/**
+ * apiRequest for /api/sets, which only shows a client its own sets
+ */
+function setsRequest(path, options = {}) {
+    return apiRequest(path, {
+        ...options,
+        headers: { 'X-Owner-Token': getSetOwnerToken(), ...options.headers }
+    });
+}
+
+/**
+ * Save the current set to the library, and to the sets API when it is reachable
+ */
+function saveContent() {
+    storeActiveSet({ changed: true });
+    saveLibrary();
+    syncSetToServer(state.setId);
+    renderSetSwitcher();
+}
+
+/**
+ * Remember whether /api/sets exists; static hosting has no API
+ */
+function noteSetsApiError(error) {
+    if (error.code === 'network_error' || error.status === 404 || error.status === 405) {
+        state.setsApiAvailable = false;
+    }
+    console.warn('Sets API unavailable, keeping the set in this browser only:', error.message);
+}
+
+/**
+ * Pick up changes made to the active set on another device, and push any
+ * sets that changed while the server was out of reach
+ */
+async function loadSetFromServer() {
+    const entry = state.library.sets[state.setId];
+    
+    try {
+        const { set } = await setsRequest(`/api/sets/${encodeURIComponent(entry.id)}`);
+        state.setsApiAvailable = true;
+        
+        if (!entry.dirty && set.updatedAt !== entry.serverUpdatedAt && set.cards.length > 0) {
+            storeActiveSet();
+            entry.title = set.title;
+            entry.cards = set.cards;
+            entry.serverUpdatedAt = set.updatedAt;
+            if (entry.id === state.setId) {
+                applyLibrarySet(entry);
+                refreshAllViews();
+            }
+            saveLibrary();
+            renderSetSwitcher();
+        }
+    } catch (error) {
+        // The API answers not_found for a set it hasn't seen; a static host 404s without a code
+        if (error.code !== 'not_found') {
+            noteSetsApiError(error);
+            return;
+        }
+        state.setsApiAvailable = true;
+    }
+    
+    Object.values(state.library.sets)
+        .filter(other => other.dirty)
+        .forEach(other => syncSetToServer(other.id));
+}
+
+/**
+ * Create or update a set on the server. Debounced per set so bursts of
+ * edits (stars, tips, topics) become one request.
+ */
+function syncSetToServer(id) {
+    clearTimeout(pendingSetSyncs.get(id));
+    pendingSetSyncs.set(id, setTimeout(() => {
+        pendingSetSyncs.delete(id);
+        pushSetToServer(id);
+    }, SET_SYNC_DELAY));
+}
+
+async function pushSetToServer(id) {
+    const entry = state.library.sets[id];
+    if (!entry || state.setsApiAvailable === false) return;
+    
+    const sentAt = entry.updatedAt;
+    const body = { title: entry.title, cards: entry.cards };
+    
+    try {
+        let set;
+        try {
+            ({ set } = await setsRequest(`/api/sets/${encodeURIComponent(id)}`, { method: 'PUT', body }));
+        } catch (error) {
+            if (error.code !== 'not_found') throw error;
+            set = await createSetOnServer(entry, body);
+        }
+        
+        state.setsApiAvailable = true;
+        entry.serverUpdatedAt = set.updatedAt;
+        if (entry.updatedAt === sentAt) {
+            entry.dirty = false;
+        }
+        const hadError = Boolean(entry.syncError);
+        delete entry.syncError;
+        saveLibrary();
+        if (hadError) renderSetSwitcher();
+    } catch (error) {
+        noteSetsApiError(error);
+        
+        // The server is there but refused the set (e.g. too many cards)
+        if (state.setsApiAvailable !== false) {
+            entry.syncError = error.message;
+            saveLibrary();
+            renderSetSwitcher();
+        }
+    }
+}
+
+/**
+ * Carry the position and Match best times kept under a set's id over to
+ * its new id
+ */
+function moveSetProgress(oldId, newId) {
+    if (oldId in state.positions) {
+        state.positions[newId] = state.positions[oldId];
+        delete state.positions[oldId];
+    }
+    saveState();
+    
+    try {
+        const bestTimes = JSON.parse(localStorage.getItem('matchBestTimes')) || {};
+        if (bestTimes[oldId]) {
+            bestTimes[newId] = bestTimes[oldId];
+            delete bestTimes[oldId];
+            localStorage.setItem('matchBestTimes', JSON.stringify(bestTimes));
+        }
+    } catch (e) {
+        console.error('Error moving best times:', e);
+    }
+}
+
+/**
+ * Create a set on the server under its library id. If another owner already
+ * has that id, the set gets a new one.
+ */
+async function createSetOnServer(entry, body) {
+    try {
+        const { set } = await setsRequest('/api/sets', { method: 'POST', body: { id: entry.id, ...body } });
+        return set;
+    } catch (error) {
+        if (error.code !== 'conflict') throw error;
+    }
+    
+    const oldId = entry.id;
+    delete state.library.sets[oldId];
+    entry.id = crypto.randomUUID();
+    state.library.sets[entry.id] = entry;
+    if (state.setId === oldId) {
+        state.setId = entry.id;
+        state.library.activeSetId = entry.id;
+    }
+    moveSetProgress(oldId, entry.id);
+    
+    const { set } = await setsRequest('/api/sets', { method: 'POST', body: { id: entry.id, ...body } });
+    return set;
+}
+
+// ============================================
+// Event Listeners
+// ============================================
+
+function attachEventListeners() {
+    // Navigation
+    elements.prevBtn?.addEventListener('click', prevCard);
+    elements.nextBtn?.addEventListener('click', nextCard);
+    
+    // Flashcard flip
+    elements.flashcard?.addEventListener('click', flipCard);
+    
+    // Star button
+    elements.starBtn?.addEventListener('click', (event) => {
+        event.stopPropagation();
+        toggleStar();
+    });
+    
+    // Tab navigation
+    elements.tabButtons?.forEach(btn => {
+        btn.addEventListener('click', handleTabClick);
+    });
+    
+    // Keyboard
+    document.addEventListener('keydown', handleKeydown);
+    
+    // Debug modal
+    elements.menuBtn?.addEventListener('click', openDebugModal);
+    elements.debugModalClose?.addEventListener('click', closeDebugModal);
+    elements.debugModalOverlay?.addEventListener('click', (event) => {
+        if (event.target === elements.debugModalOverlay) {
+            closeDebugModal();
+        }
+    });
+
+    // Import modal
+    elements.importCloseBtn?.addEventListener('click', closeImportModal);
+    elements.importModalOverlay?.addEventListener('click', (event) => {
+        if (event.target === elements.importModalOverlay) {
+            closeImportModal();
+        }
+    });
+    elements.importSubmitBtn?.addEventListener('click', importFlashcards);
+    elements.generateSubmitBtn?.addEventListener('click', generateFromNotes);
+    elements.generateReplaceBtn?.addEventListener('click', () => acceptGeneratedCards('replace'));
+    elements.generateAppendBtn?.addEventListener('click', () => acceptGeneratedCards('append'));
+    elements.translateSubmitBtn?.addEventListener('click', translateCurrentSet);
+    elements.translateNewSetBtn?.addEventListener('click', () => acceptTranslation('new'));
+    elements.translateSideBtn?.addEventListener('click', () => acceptTranslation('side'));
+    
+    // Variant selector
+    elements.variantSelector?.querySelectorAll('.variant-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            setDesignVariant(btn.dataset.variant);
+        });
+    });
+    
+    // Close modals with Escape
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            if (elements.debugModalOverlay?.classList.contains('active')) {
+                closeDebugModal();
+            } else if (elements.importModalOverlay?.classList.contains('active')) {
+                closeImportModal();
+            }
+        }
+    });
+    
+    // Import modal navigation
+    const importOpenBtn = document.getElementById('import-open-btn');
+    const importBackBtn = document.getElementById('import-back-btn');
+    const modalStepMain = document.getElementById('modal-step-main');
+    const modalStepImport = document.getElementById('modal-step-import');
+    const headerMain = document.getElementById('header-main');
+    const headerImport = document.getElementById('header-import');
+    
+    importOpenBtn?.addEventListener('click', () => {
+        modalStepMain?.classList.add('hidden');
+        modalStepImport?.classList.remove('hidden');
+        headerMain?.classList.add('hidden');
+        headerImport?.classList.remove('hidden');
+    });
+    
+    importBackBtn?.addEventListener('click', () => {
+        modalStepImport?.classList.add('hidden');
+        modalStepMain?.classList.remove('hidden');
+        headerImport?.classList.add('hidden');
+        headerMain?.classList.remove('hidden');
+    });
+    
+    // Generate-from-notes step
+    const generateOpenBtn = document.getElementById('generate-open-btn');
+    const generateBackBtn = document.getElementById('generate-back-btn');
+    const modalStepGenerate = document.getElementById('modal-step-generate');
+    const headerGenerate = document.getElementById('header-generate');
+    
+    generateOpenBtn?.addEventListener('click', () => {
+        modalStepMain?.classList.add('hidden');
+        modalStepGenerate?.classList.remove('hidden');
+        headerMain?.classList.add('hidden');
+        headerGenerate?.classList.remove('hidden');
+        renderGeneratedPreview();
+    });
+    
+    generateBackBtn?.addEventListener('click', () => {
+        modalStepGenerate?.classList.add('hidden');
+        modalStepMain?.classList.remove('hidden');
+        headerGenerate?.classList.add('hidden');
+        headerMain?.classList.remove('hidden');
+    });
+    
+    // Translate step
+    const translateOpenBtn = document.getElementById('translate-open-btn');
+    const translateBackBtn = document.getElementById('translate-back-btn');
+    const modalStepTranslate = document.getElementById('modal-step-translate');
+    const headerTranslate = document.getElementById('header-translate');
+    
+    translateOpenBtn?.addEventListener('click', () => {
+        modalStepMain?.classList.add('hidden');
+        modalStepTranslate?.classList.remove('hidden');
+        headerMain?.classList.add('hidden');
+        headerTranslate?.classList.remove('hidden');
+        renderTranslationPreview();
+    });
+    
+    translateBackBtn?.addEventListener('click', () => {
+        modalStepTranslate?.classList.add('hidden');
+        modalStepMain?.classList.remove('hidden');
+        headerTranslate?.classList.add('hidden');
         headerMain?.classList.remove('hidden');
     });
 }
@@ -2,7 +2,10 @@ import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import OpenAI from 'openai';
+import { mountRoutes } from './lib/http.js';
+import { getProvider } from './lib/providers/index.js';
+import { sendError } from './lib/errors.js';
+import { trustedProxyHops } from './lib/request-context.js';
 
 // Load environment variables
 dotenv.config();
@@ -13,96 +16,28 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize OpenAI
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
+// Behind a reverse proxy, let req.ip read X-Forwarded-For (see TRUST_PROXY)
+if (trustedProxyHops() > 0) {
+    app.set('trust proxy', trustedProxyHops());
+}
 
 // Middleware
-app.use(express.json());
-app.use(express.static(__dirname));
+// Large enough for a full set saved to /api/sets
+app.use(express.json({ limit: '1mb' }));
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok' });
-});
+// API routes (shared with the Vercel functions in api/), mounted before the
+// static files so folders like api/conversations/ never shadow a route
+mountRoutes(app);
 
-// OpenAI Chat endpoint
-app.post('/api/chat', async (req, res) => {
-    try {
-        const { message, systemPrompt } = req.body;
-        
-        if (!message) {
-            return res.status(400).json({ error: 'Message is required' });
-        }
-        
-        const messages = [];
-        
-        if (systemPrompt) {
-            messages.push({ role: 'system', content: systemPrompt });
-        }
-        
-        messages.push({ role: 'user', content: message });
-        
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-3.5-turbo',
-            messages: messages,
-            max_tokens: 500,
-            temperature: 0.7
-        });
-        
-        const responseText = completion.choices[0].message.content;
-        
-        res.json({ 
-            response: responseText,
-            usage: completion.usage
-        });
-        
-    } catch (error) {
-        console.error('OpenAI API Error:', error);
-        res.status(500).json({ 
-            error: 'Failed to get AI response',
-            details: error.message 
-        });
-    }
-});
+app.use(express.static(__dirname));
 
-// Generate flashcard definitions endpoint
-app.post('/api/generate-definition', async (req, res) => {
-    try {
-        const { term } = req.body;
-        
-        if (!term) {
-            return res.status(400).json({ error: 'Term is required' });
-        }
-        
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-3.5-turbo',
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a helpful assistant that creates concise, clear definitions for study flashcards. Keep definitions under 50 words.'
-                },
-                {
-                    role: 'user',
-                    content: `Define the following term for a flashcard: ${term}`
-                }
-            ],
-            max_tokens: 100,
-            temperature: 0.7
-        });
-        
-        const definition = completion.choices[0].message.content;
-        
-        res.json({ term, definition });
-        
-    } catch (error) {
-        console.error('OpenAI API Error:', error);
-        res.status(500).json({ 
-            error: 'Failed to generate definition',
-            details: error.message 
-        });
+// Anything that escapes a route, including malformed or oversized JSON
+// bodies rejected by express.json(), still gets the standard error envelope
+app.use((error, req, res, next) => {
+    if (res.headersSent) {
+        return next(error);
     }
+    return sendError(res, error);
 });
 
 // Start server (only in local development)
@@ -110,7 +45,8 @@ if (process.env.NODE_ENV !== 'production') {
     app.listen(PORT, () => {
         console.log(`🚀 Server running at http://localhost:${PORT}`);
         console.log(`📁 Workshop environment ready!`);
-        console.log(`🤖 OpenAI integration: ${process.env.OPENAI_API_KEY ? 'Configured' : 'Not configured'}`);
+        const provider = getProvider();
+        console.log(`🤖 LLM provider: ${provider.name} (${provider.model}) - ${provider.isConfigured() ? 'Configured' : 'Not configured'}`);
     });
 }
 